@@ -0,0 +1,248 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import { IPAM } from './ipam';
+import { IpRange } from './range';
+
+
+/**
+ * Anomalies class.
+ *
+ * This class checks the IPAM data for logical conflicts, which the IPAM itself
+ * may not prevent (e.g. overlapping IP ranges or IPs outside of any subnet).
+ *
+ * Each check returns a list of findings. A finding describes the object it
+ * belongs to and optionally related objects (e.g. the other IP range of an
+ * overlap) by pairs of object type and title, so all of them can be linked to
+ * their lookup pages.
+ *
+ * @note All methods are static, as they're just a collection of checks without
+ *       any state maintained within the class.
+ */
+export class Anomalies
+{
+  /**
+   * Lookup pages of the object types used in findings.
+   */
+  static links = {
+    'block':  '/lookup/block.html',
+    'subnet': '/lookup/subnet.html',
+    'range':  '/lookup/range.html',
+    'ip':     '/lookup/ip.html',
+    'mac':    '/lookup/mac.html',
+  };
+
+  /**
+   * Find all IP ranges overlapping another one.
+   *
+   * Each overlap will be reported once only, at the IP range starting later.
+   *
+   *
+   * @param ranges The @ref RangeIndex of the IP ranges to be checked.
+   *
+   * @returns Array of findings.
+   */
+  static overlappingRanges(ranges)
+  {
+    /* Ranges starting at the same IP contain each other's first IP. To report
+     * these once only, their position in the collection breaks the tie. */
+    const pos   = new Map(ranges.items.map((item, i) => [item, i]));
+    const first = item => IpRange.toNumber(item.range.first);
+
+    return ranges.items.flatMap(item => ranges.match(item.range.first)
+      .filter(other => (first(other) < first(item))
+        || ((first(other) == first(item)) && (pos.get(other) < pos.get(item))))
+      .map(other => ({
+        object:  ['range', String(item.range)],
+        related: [['range', String(other.range)]],
+        details: 'Overlaps with IP range ' + other.range + '.',
+      })));
+  }
+
+  /**
+   * Find all IP ranges reaching outside of their subnet.
+   *
+   * The subnet of an IP range is the most specific subnet containing its first
+   * IP. IP ranges without such a subnet will be reported as well.
+   *
+   *
+   * @param ranges The @ref RangeIndex of the IP ranges to be checked.
+   * @param subnets The @ref PrefixIndex of the subnets.
+   *
+   * @returns Array of findings.
+   */
+  static rangesOutsideSubnet(ranges, subnets)
+  {
+    return ranges.items.flatMap(item => {
+      const object = ['range', String(item.range)];
+      const subnet = subnets.match(item.range.first).at(-1);
+      if (!subnet)
+        return [{object, related: [], details: 'Not inside of any subnet.'}];
+
+      if (IpRange.fromSubnet(ipaddr.parseCIDR(subnet.network))
+            .contains(item.range))
+        return [];
+      return [{
+        object,
+        related: [['subnet', subnet.network]],
+        details: 'Reaches outside of subnet ' + subnet.network + '.',
+      }];
+    });
+  }
+
+  /**
+   * Find all subnets outside of any IP block.
+   *
+   *
+   * @param subnets The @ref PrefixIndex of the subnets to be checked.
+   * @param blocks The @ref PrefixIndex of the IP blocks.
+   *
+   * @returns Array of findings.
+   */
+  static subnetsOutsideBlock(subnets, blocks)
+  {
+    return subnets.items
+      .filter(item => {
+        const [ip, len] = ipaddr.parseCIDR(item.network);
+        return blocks.match(ip, len).length == 0;
+      })
+      .map(item => ({
+        object:  ['subnet', item.network],
+        related: [],
+        details: 'Not inside of any IP block.',
+      }));
+  }
+
+  /**
+   * Find all IPs outside of every subnet.
+   *
+   *
+   * @param ips The @ref IpIndex of the IPs to be checked.
+   * @param subnets The @ref PrefixIndex of the subnets.
+   *
+   * @returns Array of findings.
+   */
+  static ipsOutsideSubnet(ips, subnets)
+  {
+    return ips.items
+      .filter(item => subnets.match(ipaddr.process(item.ip)).length == 0)
+      .map(item => ({
+        object:  ['ip', item.ip],
+        related: [],
+        details: 'Not inside of any subnet.',
+      }));
+  }
+
+  /**
+   * Find all IPs listed multiple times.
+   *
+   * IPs will be compared by their normalized form, so the same IP written in
+   * different ways (e.g. IPv6 addresses with and without zero compression) is
+   * detected as well. Each duplicate IP will be reported once only.
+   *
+   *
+   * @param ips The @ref IpIndex of the IPs to be checked.
+   *
+   * @returns Array of findings.
+   */
+  static duplicateIps(ips)
+  {
+    const groups = new Map();
+    ips.items.forEach(item => {
+      const ip = String(ipaddr.process(item.ip));
+      groups.set(ip, (groups.get(ip) ?? []).concat(item));
+    });
+
+    return Array.from(groups)
+      .filter(([, items]) => items.length > 1)
+      .map(([ip, items]) => ({
+        object:  ['ip', ip],
+        related: [],
+        details: 'Listed ' + items.length + ' times'
+          + (items.some(i => i.name)
+              ? ' (' + items.map(i => i.name ?? '-').join(', ') + ')'
+              : '')
+          + '.',
+      }));
+  }
+
+  /**
+   * Find all MAC addresses assigned to several IPs.
+   *
+   * @note Hosts usually have IPs of both IP versions with the same MAC address.
+   *       Therefore, only IPs of the same version will be checked.
+   *
+   *
+   * @param ips The @ref IpIndex of the IPs to be checked.
+   *
+   * @returns Array of findings.
+   */
+  static sharedMacs(ips)
+  {
+    return Array.from(ips.byMac)
+      .filter(([, items]) => items.length > 1)
+      .map(([mac, items]) => ({
+        object:  ['mac', mac],
+        related: items.map(item => ['ip', item.ip]),
+        details: 'Assigned to ' + items.length + ' IPs.',
+      }));
+  }
+
+  /**
+   * Find all gateways outside of their IP range.
+   *
+   *
+   * @param ranges The @ref RangeIndex of the IP ranges to be checked.
+   *
+   * @returns Array of findings.
+   */
+  static gatewaysOutsideRange(ranges)
+  {
+    return ranges.items.flatMap(item => item.gateways
+      .filter(gw => !item.range.match(gw))
+      .map(gw => ({
+        object:  ['range', String(item.range)],
+        related: [['ip', String(gw)]],
+        details: 'Gateway ' + gw + ' is outside of the IP range.',
+      })));
+  }
+
+  /**
+   * Run all checks.
+   *
+   * Objects of different IP versions can't conflict with each other, so all
+   * checks will be run for each IP version separately.
+   *
+   *
+   * @returns Promise to fetch the findings. It resolves to an object with the
+   *          findings of each check by the check's name.
+   */
+  static find()
+  {
+    const files = ['ip.json', 'range.json', 'subnet.json', 'block.json'];
+    return Promise
+      .all(['v4', 'v6'].map(version => Promise
+        .all(files.map(file => IPAM.fetchIndex(file, version)))
+        .then(([ips, ranges, subnets, blocks]) => ({
+          overlap:   this.overlappingRanges(ranges),
+          range:     this.rangesOutsideSubnet(ranges, subnets),
+          subnet:    this.subnetsOutsideBlock(subnets, blocks),
+          ip:        this.ipsOutsideSubnet(ips, subnets),
+          duplicate: this.duplicateIps(ips),
+          mac:       this.sharedMacs(ips),
+          gateway:   this.gatewaysOutsideRange(ranges),
+        }))))
+
+      /* Merge the findings of both IP versions, so each check has a single list
+       * of findings. */
+      .then(([v4, v6]) => Object.fromEntries(Object.keys(v4)
+        .map(check => [check, v4[check].concat(v6[check])])));
+  }
+}
@@ -0,0 +1,107 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+/* Generate reverse DNS zones.
+ *
+ * This script generates BIND-style reverse zone files with PTR records for all
+ * named IPs of a prefix, so reverse zones can be kept in sync with the IPAM.
+ * Prefixes will be split into zones on octet (IPv4) or nibble (IPv6)
+ * boundaries, and one file per zone will be written. Names, that aren't valid
+ * hostnames, will be skipped and reported.
+ *
+ * Usage: node bin/reverse.js [options] <prefix> [API directory]
+ *
+ * Options:
+ *   --output <dir>       Directory for the zone files (default: current one)
+ *   --nameserver <name>  Name of the primary nameserver for SOA and NS records
+ *   --hostmaster <mail>  Mail address of the zone's administrator
+ *   --domain <domain>    Domain appended to names without domain
+ *   --ttl <seconds>      Default TTL of the records
+ *
+ * The API directory defaults to 'api' in the current working directory. The
+ * serial of the zones will be derived from the timestamp of the last API
+ * update, if the API directory contains an 'update' file. */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import ipaddr from 'ipaddr.js';
+import { ReverseDns } from '../reverse';
+
+
+let args;
+try
+{
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      output:     {type: 'string', default: '.'},
+      nameserver: {type: 'string'},
+      hostmaster: {type: 'string'},
+      domain:     {type: 'string'},
+      ttl:        {type: 'string'},
+    },
+  });
+}
+catch (e)
+{
+  console.error(e.message);
+  process.exit(2);
+}
+
+const [prefix, dir = 'api'] = args.positionals;
+let subnet;
+try
+{
+  subnet = ipaddr.parseCIDR(prefix ?? '');
+}
+catch
+{
+  console.error(
+    'Usage: node bin/reverse.js [options] <prefix> [API directory]');
+  process.exit(2);
+}
+if (!fs.existsSync(dir))
+{
+  console.error(`API directory '${dir}' not found.`);
+  process.exit(2);
+}
+
+/* Missing files will be handled like empty collections, just like the web UI
+ * does. Zones without any records will still be generated, as the zone may
+ * need to be emptied. */
+const version = (subnet[0].kind() == 'ipv4') ? 'v4' : 'v6';
+const file = path.join(dir, version, 'ip.json');
+const items = fs.existsSync(file)
+  ? JSON.parse(fs.readFileSync(file, 'utf8'))
+  : [];
+
+const updateFile = path.join(dir, 'update');
+const update = fs.existsSync(updateFile)
+  ? new Date(Date.parse(fs.readFileSync(updateFile, 'utf8').trim()))
+  : new Date();
+const options = Object.fromEntries(Object
+  .entries(args.values)
+  .filter(([key]) => key != 'output'));
+options.serial = ReverseDns.serial(
+  Number.isNaN(update.getTime()) ? new Date() : update);
+
+fs.mkdirSync(args.values.output, {recursive: true});
+let warnings = 0;
+ReverseDns.zones(subnet).forEach(zone => {
+  const name = ReverseDns.zoneName(zone);
+  const result = ReverseDns.generate(zone, subnet, items, options);
+  fs.writeFileSync(path.join(args.values.output, name + '.zone'),
+                   result.content);
+  console.log(`Zone ${name} written.`);
+
+  result.warnings.forEach(w => console.warn(`${w.ip}: ${w.message}`));
+  warnings += result.warnings.length;
+});
+console.log(`${warnings} warnings found.`);
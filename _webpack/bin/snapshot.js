@@ -0,0 +1,85 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+/* Take a snapshot of API data.
+ *
+ * This script copies the current API files into a dated directory in the
+ * history of the API directory, so changes between API updates can be shown by
+ * the web UI. It's intended to be run after each API update, once the new data
+ * has been generated.
+ *
+ * Usage: node bin/snapshot.js [API directory] [number of snapshots to keep]
+ *
+ * The API directory defaults to 'api' in the current working directory. The
+ * snapshot will be dated to the timestamp of the last API update, if the API
+ * directory contains an 'update' file, otherwise to the current time. Taking a
+ * snapshot of the same API update again replaces the previous one. If a number
+ * of snapshots to keep is given, older snapshots will be removed. */
+
+import fs from 'fs';
+import path from 'path';
+import { History } from '../history';
+
+
+const dir = process.argv[2] ?? 'api';
+const keep = (process.argv[3] !== undefined) ? Number(process.argv[3]) : null;
+if (!fs.existsSync(dir))
+{
+  console.error(`API directory '${dir}' not found.`);
+  process.exit(2);
+}
+if (keep !== null && !(Number.isInteger(keep) && keep > 0))
+{
+  console.error('The number of snapshots to keep must be a positive integer.');
+  process.exit(2);
+}
+
+/* Use the timestamp of the last API update as snapshot identifier, so the web
+ * UI can detect the snapshot of the data currently published. */
+const updateFile = path.join(dir, 'update');
+const update = fs.existsSync(updateFile)
+  ? new Date(Date.parse(fs.readFileSync(updateFile, 'utf8').trim()))
+  : new Date();
+if (Number.isNaN(update.getTime()))
+{
+  console.error(`Invalid timestamp in '${updateFile}'.`);
+  process.exit(2);
+}
+const id = History.toId(update);
+
+const history = path.join(dir, 'history');
+const target = path.join(history, id);
+fs.rmSync(target, {recursive: true, force: true});
+['v4', 'v6']
+  .filter(version => fs.existsSync(path.join(dir, version)))
+  .forEach(version => fs.cpSync(path.join(dir, version),
+                                path.join(target, version),
+                                {recursive: true}));
+console.log(`Snapshot ${id} created.`);
+
+/* Update the index of snapshots. Snapshots listed in the index, but no longer
+ * available, will be dropped from the index. */
+const indexFile = path.join(history, 'index.json');
+let snapshots = fs.existsSync(indexFile)
+  ? JSON.parse(fs.readFileSync(indexFile, 'utf8'))
+  : [];
+snapshots = [...new Set(snapshots.concat(id))]
+  .filter(s => fs.existsSync(path.join(history, s)))
+  .sort((a, b) => History.toDate(a) - History.toDate(b));
+
+if (keep !== null && snapshots.length > keep)
+{
+  snapshots.slice(0, -keep).forEach(s => {
+    fs.rmSync(path.join(history, s), {recursive: true, force: true});
+    console.log(`Snapshot ${s} removed.`);
+  });
+  snapshots = snapshots.slice(-keep);
+}
+
+fs.writeFileSync(indexFile, JSON.stringify(snapshots) + '\n');
@@ -0,0 +1,62 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+/* Validate API data.
+ *
+ * This script checks the API files of a directory against the API description
+ * files of IPAM Web. It's intended to be run after generating the API data by
+ * an exporter, before publishing the data. All problems found will be printed
+ * and the script exits with a non-zero status, if any errors were found.
+ *
+ * Usage: node bin/validate.js [API directory]
+ *
+ * The API directory defaults to 'api' in the current working directory. It
+ * needs to contain the 'v4' and 'v6' subdirectories with the API files. Missing
+ * files will be handled like empty collections, just like the web UI does. */
+
+import fs from 'fs';
+import path from 'path';
+import { Validator } from '../validator';
+
+
+const dir = process.argv[2] ?? 'api';
+if (!fs.existsSync(dir))
+{
+  console.error(`API directory '${dir}' not found.`);
+  process.exit(2);
+}
+
+const validator = new Validator(IPAM_API_SCHEMA);
+const results = ['v4', 'v6'].flatMap(version =>
+  Validator.files.flatMap(file => {
+    const name = path.join(dir, version, file + '.json');
+    if (!fs.existsSync(name))
+      return [];
+
+    /* Files, that can't be decoded, will be reported as a whole, as none of
+     * their records can be checked. */
+    let data;
+    try
+    {
+      data = JSON.parse(fs.readFileSync(name, 'utf8'));
+    }
+    catch (e)
+    {
+      return [{file: version + '/' + file + '.json', key: null, field: null,
+               level: 'error', message: 'Invalid JSON: ' + e.message}];
+    }
+
+    return validator.validate(file, version, data);
+  }));
+
+results.forEach(result => console.log(Validator.format(result)));
+
+const errors = results.filter(r => r.level == 'error').length;
+console.log(`${errors} errors, ${results.length - errors} warnings found.`);
+process.exit(errors ? 1 : 0);
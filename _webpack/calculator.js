@@ -0,0 +1,127 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import { IpRange } from './range';
+import { AddressSpace } from './space';
+
+
+/**
+ * Subnet calculator class.
+ *
+ * This class calculates the properties of a subnet (e.g. its netmask and usable
+ * hosts), as well as the subnets it can be split into and the supernets it is
+ * part of. All calculations are based on the prefix alone, so they work for
+ * subnets not in the IPAM, too.
+ *
+ * @note All methods are static, as they're just a collection of calculations
+ *       without any state maintained within the class.
+ */
+export class Calculator
+{
+  /**
+   * Get the number of bits of a subnet's IPs.
+   *
+   *
+   * @param subnet The subnet, as returned by 'parseCIDR'.
+   *
+   * @returns The number of bits, i.e. 32 for IPv4 and 128 for IPv6.
+   */
+  static bits(subnet)
+  {
+    return subnet[0].toByteArray().length * 8;
+  }
+
+  /**
+   * Calculate the properties of a subnet.
+   *
+   * The usable hosts exclude the reserved addresses of the subnet (see
+   * @ref AddressSpace.reserved). IPv6 subnets and point-to-point subnets don't
+   * have a broadcast address.
+   *
+   *
+   * @param subnet The subnet, as returned by 'parseCIDR'.
+   *
+   * @returns Object with the 'network', 'broadcast' (or null), 'netmask' and
+   *          'wildcard' addresses, the 'first' and 'last' usable host and the
+   *          number of usable 'hosts' as 'BigInt'.
+   */
+  static details(subnet)
+  {
+    const kind  = subnet[0].kind();
+    const bits  = BigInt(this.bits(subnet));
+    const host  = bits - BigInt(subnet[1]);
+    const range = IpRange.fromSubnet(subnet);
+
+    const wildcard = (1n << host) - 1n;
+    const netmask  = ((1n << bits) - 1n) ^ wildcard;
+
+    /* Reserved addresses are at the boundaries of the subnet only, so the
+     * usable hosts can be derived by skipping them. */
+    const reserved = AddressSpace.reserved(subnet).map(String);
+    const first = IpRange.toNumber(range.first)
+      + (reserved.includes(String(range.first)) ? 1n : 0n);
+    const last  = IpRange.toNumber(range.last)
+      - (reserved.includes(String(range.last)) ? 1n : 0n);
+
+    return {
+      network:   range.first,
+      broadcast: ((kind == 'ipv4') && (reserved.length > 1))
+                   ? range.last : null,
+      netmask:   IpRange.fromNumber(netmask, kind),
+      wildcard:  IpRange.fromNumber(wildcard, kind),
+      first:     IpRange.fromNumber(first, kind),
+      last:      IpRange.fromNumber(last, kind),
+      hosts:     range.size() - BigInt(reserved.length),
+    };
+  }
+
+  /**
+   * Split a subnet into smaller subnets.
+   *
+   *
+   * @param subnet The subnet to be split, as returned by 'parseCIDR'.
+   * @param prefix The prefix length of the subnets to be generated. It needs to
+   *               be at least the prefix length of @p subnet.
+   * @param limit The maximum number of subnets to be generated, as splitting
+   *              large subnets may result in huge numbers of subnets.
+   *
+   * @returns Object with the generated 'subnets' in the format returned by
+   *          'parseCIDR' and the 'count' of all subnets as 'BigInt'.
+   */
+  static split(subnet, prefix, limit)
+  {
+    const kind  = subnet[0].kind();
+    const size  = 1n << BigInt(this.bits(subnet) - prefix);
+    const count = 1n << BigInt(prefix - subnet[1]);
+    const first = IpRange.toNumber(IpRange.fromSubnet(subnet).first);
+
+    const subnets = [];
+    for (let i = 0n; (i < count) && (i < BigInt(limit)); i++)
+      subnets.push(ipaddr.parseCIDR(
+        IpRange.fromNumber(first + i * size, kind) + '/' + prefix));
+    return {subnets, count};
+  }
+
+  /**
+   * Get the supernet of a subnet.
+   *
+   *
+   * @param subnet The subnet, as returned by 'parseCIDR'.
+   * @param prefix The prefix length of the supernet. It needs to be at most the
+   *               prefix length of @p subnet.
+   *
+   * @returns The supernet in the format returned by 'parseCIDR'.
+   */
+  static supernet(subnet, prefix)
+  {
+    const range = IpRange.fromSubnet([subnet[0], prefix]);
+    return ipaddr.parseCIDR(range.first + '/' + prefix);
+  }
+}
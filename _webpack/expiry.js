@@ -0,0 +1,148 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import { IPAM } from './ipam';
+import { IpRange } from './range';
+
+
+/**
+ * Expiry class.
+ *
+ * This class checks IP assignments for their expiry, so IPs no longer needed
+ * can be reclaimed. Assignments are reported, if they have expired already or
+ * expire soon. Assignments without an expiry date are reported, if they have
+ * been assigned a long time ago and therefore may be stale.
+ *
+ * @note All methods are static, as they're just a collection of calculations
+ *       without any state maintained within the class.
+ */
+export class Expiry
+{
+  /**
+   * Check if a value is a valid date.
+   *
+   *
+   * @param value The value to be checked.
+   *
+   * @returns True, if @p value is a valid 'Date' object, otherwise false.
+   */
+  static isDate(value)
+  {
+    return (value instanceof Date) && !Number.isNaN(value.getTime());
+  }
+
+  /**
+   * Classify an IP assignment.
+   *
+   *
+   * @param item The IP address object to be checked.
+   * @param now The current date.
+   * @param days Number of days ahead, in which expiring assignments will be
+   *             reported.
+   * @param years Minimum age in years of assignments without expiry date to be
+   *              reported.
+   *
+   * @returns Either 'expired', 'expiring' or 'stale', or null if the
+   *          assignment doesn't need to be reported.
+   */
+  static classify(item, now, days, years)
+  {
+    if (this.isDate(item.expires))
+    {
+      if (item.expires < now)
+        return 'expired';
+
+      const limit = new Date(now);
+      limit.setDate(limit.getDate() + days);
+      return (item.expires <= limit) ? 'expiring' : null;
+    }
+
+    if (this.isDate(item.assigned))
+    {
+      const limit = new Date(now);
+      limit.setFullYear(limit.getFullYear() - years);
+      return (item.assigned <= limit) ? 'stale' : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a scope matches a scope filter.
+   *
+   * As scopes are hierarchical paths (e.g. `\Global\Berlin`), nested scopes
+   * match the filter of their parent scope, too.
+   *
+   *
+   * @param scope The scope to be checked.
+   * @param filter The scope filter.
+   *
+   * @returns True, if @p scope matches @p filter, otherwise false.
+   */
+  static matchScope(scope, filter)
+  {
+    const s = String(scope ?? '').toLowerCase();
+    const f = filter.toLowerCase().replace(/\\+$/, '');
+    return (s == f) || s.startsWith(f + '\\');
+  }
+
+  /**
+   * Find IP assignments to be reported.
+   *
+   * Site and scope of IPs will be inherited from their IP range or subnet, if
+   * not set for the IP itself.
+   *
+   *
+   * @param options Object with the options of the report: 'days' and 'years'
+   *                as described for @ref classify, as well as the optional
+   *                filters 'site', 'scope' and 'subnet'. The latter one needs
+   *                to be in the format returned by 'parseCIDR'.
+   *
+   * @returns Promise to fetch the data. It resolves to an array of objects
+   *          having the IP address object as 'item', its 'status' (see
+   *          @ref classify), its 'range' and 'subnet' objects (if any) and the
+   *          effective 'site' and 'scope'.
+   */
+  static find(options)
+  {
+    const now = new Date();
+    const fetchIps = options.subnet
+      ? IPAM.fetchIpOfRange(IpRange.fromSubnet(options.subnet))
+      : IPAM.fetchIpAll();
+
+    return fetchIps
+      .then(ips => ips
+        .map(item => ({
+          item,
+          status: this.classify(item, now, options.days, options.years),
+        }))
+        .filter(r => r.status))
+
+      /* Only the IPs to be reported need to be looked up in their IP ranges and
+       * subnets, as the filters may depend on them. */
+      .then(results => Promise.all(results.map(r => {
+        const ip = ipaddr.process(r.item.ip);
+        return Promise
+          .all([IPAM.fetchRangeByIp(ip), IPAM.fetchSubnetByIp(ip)])
+          .then(([range, subnet]) => ({
+            ...r,
+            range,
+            subnet,
+            site:  r.item.site  ?? range?.site  ?? subnet?.site,
+            scope: r.item.scope ?? range?.scope ?? subnet?.scope,
+          }));
+      })))
+
+      .then(results => results.filter(r =>
+        (!options.site
+         || (String(r.site ?? '').toLowerCase() == options.site.toLowerCase()))
+        && (!options.scope || this.matchScope(r.scope, options.scope))));
+  }
+}
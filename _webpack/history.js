@@ -0,0 +1,282 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import { IPAM } from './ipam';
+
+
+/**
+ * History class.
+ *
+ * This class compares snapshots of the API data, so changes between two API
+ * updates can be shown. Snapshots are copies of the API files stored in dated
+ * directories (e.g. `api/history/20230131T120000Z/v4/ip.json`). All available
+ * snapshots are listed in `api/history/index.json`.
+ *
+ * Snapshots are identified by their timestamp in ISO-8601 basic format, as the
+ * extended format can't be used for directory names on all systems. The
+ * current API data is handled like a snapshot with a null identifier.
+ *
+ * @note All methods are static, as they're just a collection of functions
+ *       without any state maintained within the class.
+ */
+export class History
+{
+  /**
+   * Collections covered by snapshots.
+   */
+  static files = ['ip', 'range', 'subnet', 'block'];
+
+  /**
+   * Convert a date into a snapshot identifier.
+   *
+   *
+   * @param date The date of the snapshot.
+   *
+   * @returns The snapshot identifier.
+   */
+  static toId(date)
+  {
+    return date.toISOString()
+      .replace(/\.\d+/, '')
+      .replace(/[-:]/g, '');
+  }
+
+  /**
+   * Convert a snapshot identifier into a date.
+   *
+   * @note Like dates parsed by @ref IPAM.parseDateFields, the date's toString
+   *       method will be redirected to toLocaleString for UI representation.
+   *
+   *
+   * @param id The snapshot identifier to be converted. Besides the basic
+   *           format, the extended ISO-8601 format will be accepted, too.
+   *
+   * @returns The date of the snapshot.
+   */
+  static toDate(id)
+  {
+    const m = String(id).match(
+      /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    const date = m
+      ? new Date(Date.UTC(m[1], m[2] - 1, m[3], m[4], m[5], m[6]))
+      : new Date(Date.parse(id));
+
+    date.toString = () =>
+      date.toLocaleString([], {dateStyle: 'medium', timeStyle: 'short'});
+    return date;
+  }
+
+  /**
+   * Fetch the list of snapshots.
+   *
+   * @note The list won't be cached, as snapshots are taken after API updates,
+   *       i.e. the list may change without the cache being invalidated.
+   *
+   *
+   * @returns Promise to fetch the data. It resolves to an array of snapshot
+   *          identifiers, sorted from the oldest to the newest snapshot.
+   */
+  static fetchSnapshots()
+  {
+    return IPAM.fetchJson(
+      [IPAM_BASE_URL, 'api', 'history', 'index.json'].join('/'))
+      .then(response => response
+        .map(String)
+        .sort((a, b) => this.toDate(a) - this.toDate(b)));
+  }
+
+  /**
+   * Get the key of an object.
+   *
+   * The key identifies an object across snapshots. IPs will be normalized, so
+   * changes of their notation won't be reported as separate objects.
+   *
+   *
+   * @param file The collection of the object.
+   * @param item The object.
+   *
+   * @returns The key of the object, which is the title of its lookup page.
+   */
+  static key(file, item)
+  {
+    const ip = str => ipaddr.isValid(str) ? String(ipaddr.process(str))
+                                          : String(str);
+    switch (file)
+    {
+      case 'ip':
+        return ip(item.ip);
+      case 'range':
+        return ip(item.ip_first) + ' - ' + ip(item.ip_last);
+      default:
+        try {
+          return String(ipaddr.parseCIDR(item.network));
+        } catch {
+          return String(item.network);
+        }
+    }
+  }
+
+  /**
+   * Format a value for comparison.
+   *
+   *
+   * @param value The value to be formatted.
+   *
+   * @returns String representation of @p value.
+   */
+  static format(value)
+  {
+    if (value === undefined || value === null)
+      return '';
+    if (value instanceof Date)
+      return Number.isNaN(value.getTime())
+        ? 'Invalid date' : value.toISOString().slice(0, 10);
+    if (Array.isArray(value))
+      return value.map(v => this.format(v)).join(', ');
+    return String(value);
+  }
+
+  /**
+   * Compare two versions of a collection.
+   *
+   *
+   * @param file The collection to be compared.
+   * @param before The objects of the collection in the older snapshot.
+   * @param after The objects of the collection in the newer snapshot.
+   *
+   * @returns Array of changes. Each change has the 'key' of the object, its
+   *          change 'type' (either 'added', 'removed' or 'modified') and the
+   *          list of 'changes' of its fields. The latter ones consist of the
+   *          'field' name and its value 'before' and 'after' the change.
+   */
+  static diff(file, before, after)
+  {
+    const index = items => new Map(items.map(i => [this.key(file, i), i]));
+    const a = index(before);
+    const b = index(after);
+
+    /* Helper function to compare the fields of two objects. Missing objects
+     * will be handled like objects without any fields, so all fields of added
+     * or removed objects will be listed. */
+    const fields = (x = {}, y = {}) => [...new Set([
+        ...Object.keys(x),
+        ...Object.keys(y),
+      ])]
+      .map(field => ({
+        field:  field,
+        before: this.format(x[field]),
+        after:  this.format(y[field]),
+      }))
+      .filter(change => change.before != change.after);
+
+    const results = [];
+    b.forEach((item, key) => {
+      const old = a.get(key);
+      const changes = fields(old, item);
+      if (!old)
+        results.push({key, type: 'added', changes});
+      else if (changes.length > 0)
+        results.push({key, type: 'modified', changes});
+    });
+    a.forEach((item, key) => {
+      if (!b.has(key))
+        results.push({key, type: 'removed', changes: fields(item, undefined)});
+    });
+    return results;
+  }
+
+  /**
+   * Fetch a collection of a snapshot.
+   *
+   *
+   * @param snapshot The snapshot identifier or null for the current data.
+   * @param file The collection to be fetched.
+   * @param version The IP version of the collection, either 'v4' or 'v6'.
+   *
+   * @returns Promise to fetch the data.
+   */
+  static fetchFile(snapshot, file, version)
+  {
+    return IPAM.fetch(version, file + '.json', snapshot);
+  }
+
+  /**
+   * Compare two snapshots.
+   *
+   *
+   * @param from The identifier of the older snapshot.
+   * @param to The identifier of the newer snapshot, or null for the current
+   *           data.
+   *
+   * @returns Promise to fetch the changes. It resolves to an object with the
+   *          changes of each collection (see @ref diff) by collection name.
+   */
+  static compare(from, to)
+  {
+    return Promise
+      .all(this.files.map(file => Promise
+        .all(['v4', 'v6'].map(version => Promise
+          .all([
+            this.fetchFile(from, file, version),
+            this.fetchFile(to, file, version),
+          ])
+          .then(([before, after]) => this.diff(file, before, after))))
+        .then(response => [file, response.flat()])))
+      .then(Object.fromEntries);
+  }
+
+  /**
+   * Track the changes of specific objects over time.
+   *
+   * This method compares consecutive snapshots and the current data for
+   * changes of the objects matching a filter. Changes since the oldest
+   * snapshot checked will be reported.
+   *
+   * @note Snapshots will be fetched one after another and only the objects
+   *       tracked will be kept, as keeping the entire collections of many
+   *       snapshots in memory at once would exhaust the browser's resources.
+   *
+   *
+   * @param file The collection of the objects.
+   * @param versions Array of IP versions to be checked.
+   * @param match Function checking whether an object should be tracked. It
+   *              gets the object and its key (see @ref key).
+   * @param limit Optional maximum number of the most recent snapshots to be
+   *              checked. If not set, all snapshots will be checked.
+   *
+   * @returns Promise to fetch the changes. It resolves to an object with the
+   *          list of 'snapshots' checked and the 'changes' found. Each of the
+   *          latter has the properties described for @ref diff, along with
+   *          the 'snapshot' identifier the change was first seen in.
+   */
+  static track(file, versions, match, limit = null)
+  {
+    const state = snapshot => Promise
+      .all(versions.map(version => this.fetchFile(snapshot, file, version)))
+      .then(response => response
+        .flat()
+        .filter(i => match(i, this.key(file, i))));
+
+    return this.fetchSnapshots()
+      .then(snapshots => (limit > 0) ? snapshots.slice(-limit) : snapshots)
+      .then(snapshots => [...snapshots, null]
+        .reduce((promise, snapshot) => promise
+          .then(states => state(snapshot).then(s => [...states, s])),
+          Promise.resolve([]))
+        .then(states => ({
+          snapshots: snapshots,
+          changes:   states.slice(1).flatMap((state, i) =>
+            this.diff(file, states[i], state).map(change => ({
+              snapshot: [...snapshots, null][i + 1],
+              ...change,
+            }))),
+        })));
+  }
+}
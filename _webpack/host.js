@@ -0,0 +1,238 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import { IPAM } from './ipam';
+import { MacAddress } from './mac';
+
+
+/**
+ * Host class.
+ *
+ * The IPAM doesn't know about hosts, but just about the IPs assigned to them.
+ * This class collects all IPs of a single device by correlating them with the
+ * device's name, MAC addresses, asset tags and serial numbers. Except for the
+ * name, the identifiers of IPs found will be used for further correlation, so
+ * e.g. IPs with another name but the same MAC address will be found, too.
+ *
+ * @note All methods are static, as they're just a collection of functions
+ *       without any state maintained within the class.
+ */
+export class Host
+{
+  /**
+   * Normalize a hostname.
+   *
+   *
+   * @param name The hostname to be normalized.
+   *
+   * @returns The hostname in lower case without a trailing dot.
+   */
+  static normalize(name)
+  {
+    return String(name ?? '').trim().toLowerCase().replace(/\.$/, '');
+  }
+
+  /**
+   * Placeholders used for unknown asset tags and serial numbers.
+   *
+   * Placeholders are shared by unrelated devices, so they can't be used for
+   * correlation. See @ref identifier for details.
+   */
+  static placeholders = ['n/a', 'na', 'none', 'null', 'unknown', 'tbd', 'todo'];
+
+  /**
+   * Get the identifier of an asset tag or serial number.
+   *
+   *
+   * @param value The asset tag or serial number.
+   *
+   * @returns The normalized @p value. If it's a placeholder (see
+   *          @ref placeholders) or consists of punctuation only (e.g. `-`),
+   *          null will be returned, as it doesn't identify a device.
+   */
+  static identifier(value)
+  {
+    const key = this.normalize(value);
+    return (/[\p{L}\p{N}]/u.test(key) && !this.placeholders.includes(key))
+      ? key : null;
+  }
+
+  /**
+   * Check if two hostnames belong to the same host.
+   *
+   * Hostnames match case-insensitively. A hostname without domain matches the
+   * fully qualified hostnames starting with it, too.
+   *
+   *
+   * @param a First hostname.
+   * @param b Second hostname.
+   *
+   * @returns True, if both hostnames match, otherwise false.
+   */
+  static matchName(a, b)
+  {
+    const x = this.normalize(a);
+    const y = this.normalize(b);
+    if (!x || !y)
+      return false;
+
+    return (x == y)
+      || (!x.includes('.') && (y.split('.')[0] == x))
+      || (!y.includes('.') && (x.split('.')[0] == y));
+  }
+
+  /**
+   * Get the MAC address of an IP address object.
+   *
+   *
+   * @param item The IP address object.
+   *
+   * @returns The MAC address object of @p item. If not set, the MAC address
+   *          embedded in an EUI-64 IPv6 address will be returned, or null.
+   */
+  static macOf(item)
+  {
+    return item.mac ?? MacAddress.fromEui64(ipaddr.process(item.ip));
+  }
+
+  /**
+   * Check how an IP address object correlates with a device.
+   *
+   *
+   * @param device The identifiers of the device, i.e. its 'name' and sets of
+   *               its 'macs', 'assets' and 'serials'.
+   * @param item The IP address object to be checked.
+   *
+   * @returns Array of the identifiers matching, e.g. 'name' or 'MAC'. If the
+   *          array is empty, @p item doesn't belong to the device.
+   */
+  static correlate(device, item)
+  {
+    const eui64 = MacAddress.fromEui64(ipaddr.process(item.ip));
+    const key = value => this.identifier(value);
+    return [
+      ['name',   this.matchName(device.name, item.name)],
+      ['MAC',    item.mac && device.macs.has(String(item.mac))],
+      ['EUI-64', eui64 && !eui64.equals(item.mac)
+                   && device.macs.has(String(eui64))],
+      ['asset',  device.assets.has(key(item.asset))],
+      ['serial', device.serials.has(key(item.serial))],
+    ]
+    .filter(([, match]) => match)
+    .map(([reason]) => reason);
+  }
+
+  /**
+   * Get the identifiers of a device.
+   *
+   * The names of the IPs won't be added to the device, as short hostnames
+   * match the hostnames of other domains, too (see @ref matchName). Otherwise,
+   * e.g. an IP named `web` would merge `web.example.com` and `web.example.net`
+   * into a single device.
+   *
+   *
+   * @param name The hostname of the device.
+   * @param items The IP address objects of the device.
+   *
+   * @returns Object with the device's 'name' and sets of its 'macs', 'assets'
+   *          and 'serials', as required by @ref correlate.
+   */
+  static identify(name, items)
+  {
+    const values = (fn, map = v => v) => new Set(items
+      .map(fn)
+      .filter(v => v)
+      .map(map));
+
+    return {
+      name:    name,
+      macs:    values(item => this.macOf(item), String),
+      assets:  values(item => this.identifier(item.asset)),
+      serials: values(item => this.identifier(item.serial)),
+    };
+  }
+
+  /**
+   * Find all IPs of a device.
+   *
+   * Starting with the IPs of a hostname, the identifiers of all IPs found will
+   * be added to the device, until no more IPs can be correlated with it (see
+   * @ref identify).
+   *
+   *
+   * @param name The hostname of the device.
+   *
+   * @returns Promise to fetch the data. It resolves to an array of objects with
+   *          the IP address object as 'item', the identifiers it shares with
+   *          the hostname or other IPs of the device as 'reasons' (see
+   *          @ref correlate), its 'subnet' object (if any) and its effective
+   *          'site'.
+   */
+  static find(name)
+  {
+    return IPAM.fetchIpAll()
+      .then(items => {
+        /* Each IP added may correlate further IPs, so the search needs to be
+         * repeated until no more IPs are found. */
+        const found = new Set();
+        while (true)
+        {
+          const device = this.identify(name, [...found]);
+          const more = items.filter(item => !found.has(item)
+            && (this.correlate(device, item).length > 0));
+          if (more.length == 0)
+            break;
+          more.forEach(item => found.add(item));
+        }
+
+        /* The identifiers of an IP itself will be ignored for reporting, so
+         * the reasons show how it's connected to the rest of the device. */
+        return [...found].map(item => ({
+          item,
+          reasons: this.correlate(
+            this.identify(name, [...found].filter(i => i !== item)), item),
+        }));
+      })
+
+      /* Site and subnet of each IP are required for the summary of the device.
+       * Like for other pages, the site of IPs will be inherited from their
+       * subnet, if not set for the IP itself. */
+      .then(results => Promise.all(results.map(r => IPAM
+        .fetchSubnetByIp(ipaddr.process(r.item.ip))
+        .then(subnet => ({...r, subnet, site: r.item.site ?? subnet?.site})))))
+      .then(results => results.sort((a, b) => IPAM.cmpIp(
+        ipaddr.process(a.item.ip), ipaddr.process(b.item.ip))));
+  }
+
+  /**
+   * Group the IPs of a device by interface.
+   *
+   * Interfaces are identified by their MAC address. IPs without MAC address
+   * will be grouped into a single interface with a null MAC address.
+   *
+   *
+   * @param results The IPs of the device, as returned by @ref find.
+   *
+   * @returns Array of interfaces, each with its 'mac' address object and the
+   *          arrays of 'v4' and 'v6' IP address objects.
+   */
+  static interfaces(results)
+  {
+    const groups = new Map();
+    results.forEach(({item}) => {
+      const mac = this.macOf(item);
+      const key = mac ? String(mac) : null;
+      if (!groups.has(key))
+        groups.set(key, {mac, v4: [], v6: []});
+      groups.get(key)[IPAM.ipVersion(ipaddr.process(item.ip))].push(item);
+    });
+    return [...groups.values()];
+  }
+}
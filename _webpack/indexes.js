@@ -0,0 +1,388 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import { MacAddress } from './mac';
+import { IpRange } from './range';
+
+
+/**
+ * Compare two numbers of type 'BigInt'.
+ *
+ * As 'BigInt' values can't be subtracted for getting an integer result for the
+ * `sort()` method of @ref Array, this function compares them explicitly.
+ *
+ *
+ * @param a First number.
+ * @param b Second number.
+ *
+ * @returns Integer indicating whether @p a is greater, equal or less than @p b.
+ */
+function cmp(a, b)
+{
+  return (a < b) ? -1 : ((a > b) ? 1 : 0);
+}
+
+/**
+ * Find the first position in a sorted array not less than a given number.
+ *
+ *
+ * @param array The array sorted by @p key.
+ * @param n The number to be searched for.
+ * @param key Function getting the number of an array element.
+ *
+ * @returns The index of the first element not less than @p n. If all elements
+ *          are less, the length of @p array will be returned.
+ */
+function bisect(array, n, key)
+{
+  let lo = 0;
+  let hi = array.length;
+  while (lo < hi)
+  {
+    const mid = (lo + hi) >> 1;
+    if (key(array[mid]) < n)
+      lo = mid + 1;
+    else
+      hi = mid;
+  }
+  return lo;
+}
+
+
+/**
+ * IP address index.
+ *
+ * This class indexes a collection of IP address objects for fast lookups by IP
+ * or MAC address. Additionally, the objects will be sorted by IP, so all IPs of
+ * an IP range can be found without checking the entire collection.
+ */
+export class IpIndex
+{
+  /**
+   * Constructor.
+   *
+   *
+   * @param items The IP address objects to be indexed. Their MAC addresses need
+   *              to be @ref MacAddress objects already.
+   */
+  constructor(items)
+  {
+    this.items = items;
+    this.byIp  = new Map();
+    this.byMac = new Map();
+    this.byEui64 = new Map();
+
+    /* Each object will be indexed by its normalized IP and MAC address, so both
+     * can be found regardless of the format stored in the API. For duplicate
+     * IPs, the first object will be used, like for searching the collection. */
+    this.sorted = items.map(item => {
+      const ip = ipaddr.process(item.ip);
+      if (!this.byIp.has(String(ip)))
+        this.byIp.set(String(ip), item);
+      if (item.mac)
+      {
+        const mac = String(item.mac);
+        this.byMac.set(mac, (this.byMac.get(mac) ?? []).concat(item));
+      }
+
+      /* IPv6 addresses often lack a MAC address, but may have it embedded in
+       * their EUI-64 interface identifier. These will be indexed separately,
+       * so they don't count as explicit assignments of the MAC address. */
+      const eui64 = MacAddress.fromEui64(ip);
+      if (eui64 && !eui64.equals(item.mac))
+      {
+        const mac = String(eui64);
+        this.byEui64.set(mac, (this.byEui64.get(mac) ?? []).concat(item));
+      }
+      return [IpRange.toNumber(ip), item];
+    });
+    this.sorted.sort(([a], [b]) => cmp(a, b));
+  }
+
+  /**
+   * Get the object of an IP.
+   *
+   *
+   * @param ip The IP to be looked up.
+   *
+   * @returns The related object or undefined, if the IP isn't indexed.
+   */
+  get(ip)
+  {
+    return this.byIp.get(String(ip));
+  }
+
+  /**
+   * Get all objects of a MAC address.
+   *
+   *
+   * @param mac The @ref MacAddress to be looked up.
+   * @param eui64 Whether to include IPv6 addresses with @p mac embedded in
+   *              their EUI-64 interface identifier.
+   *
+   * @returns Array of the related objects.
+   */
+  getByMac(mac, eui64 = false)
+  {
+    return (this.byMac.get(String(mac)) ?? [])
+      .concat(eui64 ? (this.byEui64.get(String(mac)) ?? []) : []);
+  }
+
+  /**
+   * Get all objects in an IP range.
+   *
+   *
+   * @param range The @ref IpRange to be checked.
+   *
+   * @returns Array of the related objects, sorted by IP.
+   */
+  within(range)
+  {
+    const key = ([n]) => n;
+    return this.sorted
+      .slice(bisect(this.sorted, IpRange.toNumber(range.first), key),
+             bisect(this.sorted, IpRange.toNumber(range.last) + 1n, key))
+      .map(([, item]) => item);
+  }
+}
+
+
+/**
+ * IP range index.
+ *
+ * This class indexes a collection of IP range objects. The ranges are sorted by
+ * their first IP, along with the highest last IP seen so far. This allows to
+ * find the ranges containing a given IP by a binary search, even if ranges may
+ * overlap.
+ */
+export class RangeIndex
+{
+  /**
+   * Constructor.
+   *
+   *
+   * @param items The IP range objects to be indexed. Each of them needs to have
+   *              its 'range' attribute set to an @ref IpRange object.
+   */
+  constructor(items)
+  {
+    this.items   = items;
+    this.byRange = new Map(items.map(item => [String(item.range), item]));
+
+    this.sorted = items
+      .map(item => [IpRange.toNumber(item.range.first),
+                    IpRange.toNumber(item.range.last),
+                    item])
+      .sort(([a], [b]) => cmp(a, b));
+
+    /* For each position, store the highest last IP of all ranges up to it. When
+     * searching for ranges containing an IP, this allows to stop as soon as no
+     * previous range can reach the IP anymore. */
+    let max = -1n;
+    this.maxLast = this.sorted.map(([, last]) => {
+      max = (last > max) ? last : max;
+      return max;
+    });
+  }
+
+  /**
+   * Get the object of an IP range.
+   *
+   *
+   * @param range The @ref IpRange to be looked up.
+   *
+   * @returns The related object or undefined, if the range isn't indexed.
+   */
+  get(range)
+  {
+    return this.byRange.get(String(range));
+  }
+
+  /**
+   * Get all objects containing an IP.
+   *
+   *
+   * @param ip The IP to be checked.
+   *
+   * @returns Array of the related objects, sorted by their first IP in reverse
+   *          order, i.e. the range starting closest to @p ip comes first.
+   */
+  match(ip)
+  {
+    const n = IpRange.toNumber(ip);
+    const result = [];
+    for (let i = bisect(this.sorted, n + 1n, ([first]) => first) - 1;
+         (i >= 0) && (this.maxLast[i] >= n);
+         i--)
+      if (this.sorted[i][1] >= n)
+        result.push(this.sorted[i][2]);
+    return result;
+  }
+
+  /**
+   * Get all objects starting in an IP range.
+   *
+   *
+   * @param range The @ref IpRange to be checked.
+   *
+   * @returns Array of the related objects, sorted by their first IP.
+   */
+  within(range)
+  {
+    const key = ([first]) => first;
+    return this.sorted
+      .slice(bisect(this.sorted, IpRange.toNumber(range.first), key),
+             bisect(this.sorted, IpRange.toNumber(range.last) + 1n, key))
+      .map(([, , item]) => item);
+  }
+}
+
+
+/**
+ * Prefix index.
+ *
+ * This class indexes a collection of objects with a 'network' attribute (i.e.
+ * subnets and IP blocks) in a binary prefix trie. Each bit of a prefix selects
+ * the child node to descend into, so lookups need at most as many steps as the
+ * IP has bits, regardless of the size of the collection.
+ */
+export class PrefixIndex
+{
+  /**
+   * Constructor.
+   *
+   *
+   * @param items The objects to be indexed.
+   */
+  constructor(items)
+  {
+    this.items = items;
+    this.root  = this.constructor.createNode();
+
+    items.forEach(item => {
+      const [ip, len] = ipaddr.parseCIDR(item.network);
+      this.node(ip, len, true).items.push({item, network: String(ip)});
+    });
+  }
+
+  /**
+   * Create a new trie node.
+   *
+   *
+   * @returns The new node.
+   */
+  static createNode()
+  {
+    return {children: [null, null], items: []};
+  }
+
+  /**
+   * Get a specific bit of an IP.
+   *
+   *
+   * @param bytes The IP as byte array.
+   * @param i Index of the bit, starting at the most significant one.
+   *
+   * @returns The value of the bit.
+   */
+  static bit(bytes, i)
+  {
+    return (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+  }
+
+  /**
+   * Get the trie node of a prefix.
+   *
+   *
+   * @param ip Network address of the prefix.
+   * @param len Length of the prefix.
+   * @param create Whether missing nodes should be created.
+   *
+   * @returns The node of the prefix or null, if it doesn't exist.
+   */
+  node(ip, len, create = false)
+  {
+    const bytes = ip.toByteArray();
+    let node = this.root;
+    for (let i = 0; (i < len) && node; i++)
+    {
+      const b = this.constructor.bit(bytes, i);
+      if (!node.children[b] && create)
+        node.children[b] = this.constructor.createNode();
+      node = node.children[b];
+    }
+    return node;
+  }
+
+  /**
+   * Get the object of a prefix.
+   *
+   *
+   * @param subnet The prefix to be looked up, as returned by 'parseCIDR'.
+   *
+   * @returns The related object or undefined, if the prefix isn't indexed.
+   */
+  get(subnet)
+  {
+    return this.node(subnet[0], subnet[1])?.items
+      .find(i => i.network == String(subnet[0]))
+      ?.item;
+  }
+
+  /**
+   * Get all objects containing an IP.
+   *
+   *
+   * @param ip The IP to be checked.
+   * @param len Optional maximum prefix length of the objects to be returned.
+   *            This allows getting the objects containing an entire prefix.
+   *
+   * @returns Array of the related objects, sorted from the shortest prefix to
+   *          the longest one.
+   */
+  match(ip, len = null)
+  {
+    const bytes = ip.toByteArray();
+    len ??= bytes.length * 8;
+
+    const result = [];
+    for (let i = 0, node = this.root; node; i++)
+    {
+      result.push(...node.items);
+      node = (i < len)
+        ? node.children[this.constructor.bit(bytes, i)]
+        : null;
+    }
+    return result.map(i => i.item);
+  }
+
+  /**
+   * Get all objects inside of a prefix.
+   *
+   *
+   * @param subnet The prefix to be checked, as returned by 'parseCIDR'.
+   *
+   * @returns Array of the related objects including the prefix itself, sorted
+   *          by their network address.
+   */
+  within(subnet)
+  {
+    const result = [];
+    const walk = node => {
+      if (node)
+      {
+        result.push(...node.items.map(i => i.item));
+        node.children.forEach(walk);
+      }
+    };
+    walk(this.node(subnet[0], subnet[1]));
+    return result;
+  }
+}
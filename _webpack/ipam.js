@@ -10,6 +10,8 @@
 import ipaddr from 'ipaddr.js';
 import { IpRange } from './range';
 import { MacAddress } from './mac';
+import { AddressSpace } from './space';
+import { IpIndex, PrefixIndex, RangeIndex } from './indexes';
 
 
 /**
@@ -19,10 +21,35 @@ import { MacAddress } from './mac';
  * files. Data can be filtered and specific objects queried.
  *
  * @note Most methods are static, because they're just a collection of functions
- *       calling the API. They're not maintaining an internal state (yet).
+ *       calling the API. The only state maintained within the class are the
+ *       client-side cache of API files and the indexes built from them.
  */
 export class IPAM
 {
+  /**
+   * Promise of the last API update.
+   *
+   * The timestamp of the last API update will be fetched once per page only, as
+   * it will be used for every API request to validate the cache.
+   */
+  static lastUpdate = null;
+
+  /**
+   * Promise of the client-side cache.
+   *
+   * The cache database will be opened once per page only. See @ref openCache
+   * for details.
+   */
+  static cache = null;
+
+  /**
+   * Promises of the collection indexes.
+   *
+   * Each collection will be indexed once per page only. The indexes are stored
+   * by IP version and file name. See @ref fetchIndex for details.
+   */
+  static indexes = {};
+
   /**
    * Get the IP version of an IP object.
    *
@@ -41,6 +68,41 @@ export class IPAM
     return ip.kind().replace('ip', '');
   }
 
+  /**
+   * Escape a string for placing it in an HTML DOM.
+   *
+   *
+   * @param str The string to be escaped.
+   *
+   * @returns The escaped string.
+   */
+  static escapeHtml(str)
+  {
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Revert the escaping of @ref escapeHtml.
+   *
+   * This is required for processing the original text of sanitized values,
+   * e.g. to match it without breaking up HTML entities.
+   *
+   *
+   * @param str The string to be unescaped.
+   *
+   * @returns The unescaped string.
+   */
+  static unescapeHtml(str)
+  {
+    return str
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, '<')
+      .replace(/&amp;/g, '&');
+  }
+
   /**
    * Sanitize object values.
    *
@@ -56,10 +118,7 @@ export class IPAM
   {
     Object.keys(item).forEach((key) => {
       if (typeof item[key] === 'string')
-        item[key] = item[key]
-          .replace(/&/g, '&amp;')
-          .replace(/</g, '&lt;')
-          .replace(/"/g, '&quot;');
+        item[key] = IPAM.escapeHtml(item[key]);
     })
     return item;
   }
@@ -111,16 +170,23 @@ export class IPAM
    * gets the last update timestamp from API files and returns it as @ref Date
    * object.
    *
+   * @note As the timestamp is used for validating the cache, the browser will
+   *       be forced to revalidate the file with the server. The request will be
+   *       made once per page only.
+   *
    *
    * @returns Promise to fetch the data.
    */
   static getLastUpdate()
   {
-    return fetch([IPAM_BASE_URL, 'api', 'update'].join('/'))
+    this.lastUpdate ??= fetch(
+      [IPAM_BASE_URL, 'api', 'update'].join('/'),
+      {cache: 'no-cache'})
       .then(response => {
         if (response.status == 404) return null;
         return response.text().then(text => new Date(Date.parse(text.trim())));
       });
+    return this.lastUpdate;
   }
 
   /**
@@ -134,19 +200,50 @@ export class IPAM
    *       method returns an empty array. This allows the callee to simply see
    *       this as empty collection instead of handling errors.
    *
-   * @note Results fetched from the API won't be cached, as a single page will
-   *       fetch each API resource usually once only.
+   * @note Results fetched from the API will be cached by the client until the
+   *       API gets updated. See @ref fetchCached for details.
    *
    *
    * @param ipVersion The IP version, the file should be fetched for. Must be
    *                  either 'v4' or 'v6'.
    * @param file The file to be fetched.
+   * @param snapshot Optional identifier of a snapshot, the file should be
+   *                 fetched from instead of the current data (see
+   *                 @ref History).
    *
    * @returns Promise to fetch the file.
    */
-  static fetch(ipVersion, file)
+  static fetch(ipVersion, file, snapshot = null)
+  {
+    const path = snapshot ? ['history', snapshot, ipVersion, file]
+                          : [ipVersion, file];
+    return this.fetchCached([IPAM_BASE_URL, 'api', ...path].join('/'))
+      /* Sanitize each and every item in collections gathered via API to verify
+       * no XSS is possible. Otherwise, third party users could place XSS code
+       * in text fields (e.g. description), which would be run in administrators
+       * browsers. */
+      .then(response => response.map(this.sanitizeValues))
+
+      /* Parse fields containing date/time information, as these can't be
+       * represented in plain JSON. */
+      .then(response => response.map(this.parseDateFields))
+      ;
+  }
+
+  /**
+   * Fetch a JSON file via API.
+   *
+   * @note If the API returns an error 404 (e.g. no v6 files available), this
+   *       method returns an empty array.
+   *
+   *
+   * @param url The URL of the file to be fetched.
+   *
+   * @returns Promise to fetch the decoded file contents.
+   */
+  static fetchJson(url)
   {
-    return fetch([IPAM_BASE_URL, 'api', ipVersion, file].join('/'))
+    return fetch(url)
       /* If the API returns an error 404, don't throw an error, but simply use
        * an empty array instead, to mimic an empty collection. As the following
        * functions will parse the readonly response body as JSON, this simply
@@ -158,18 +255,40 @@ export class IPAM
 
       /* Parse the retrieved data to decode JSON as JavaScript object, which is
        * simple to handle instead. */
-      .then(response => response.json())
+      .then(response => response.json());
+  }
 
-      /* Sanitize each and every item in collections gathered via API to verify
-       * no XSS is possible. Otherwise, third party users could place XSS code
-       * in text fields (e.g. description), which would be run in administrators
-       * browsers. */
-      .then(response => response.map(this.sanitizeValues))
+  /**
+   * Fetch the index of a collection.
+   *
+   * Looking up objects in a collection by checking each of them gets slow for
+   * large collections. Therefore, collections will be indexed once per page
+   * after being fetched, so lookups only need to check a few objects. Objects
+   * will be enriched before being indexed, as indexes may depend on metadata.
+   *
+   * @note Objects in the index are shared by all callers. Therefore, they must
+   *       not be modified after being fetched.
+   *
+   *
+   * @param file The collection file to be fetched.
+   * @param version The IP version of the collection, either 'v4' or 'v6'.
+   *
+   * @returns Promise to fetch the index.
+   */
+  static fetchIndex(file, version)
+  {
+    const types = {
+      'ip.json':     [IpIndex,     this.enrichIp],
+      'range.json':  [RangeIndex,  this.enrichRange],
+      'subnet.json': [PrefixIndex, this.enrichSubnet],
+      'block.json':  [PrefixIndex, (data) => data],
+    };
 
-      /* Parse fields containing date/time information, as these can't be
-       * represented in plain JSON. */
-      .then(response => response.map(this.parseDateFields))
-      ;
+    const key = [version, file].join('/');
+    const [index, enrich] = types[file];
+    this.indexes[key] ??= this.fetch(version, file)
+      .then(response => new index(response.map(enrich)));
+    return this.indexes[key];
   }
 
   /**
@@ -184,17 +303,11 @@ export class IPAM
   static fetchCollection(file, version = null)
   {
     /* If a version has been specified, just get the collection for this IP
-     * version and return the promise. */
-    if (version)
-      return this.fetch(version, file);
-
-    /* Otherwise, obtain the collections of all IP versions and concatenate the
-     * data to a single flat array. */
-    return Promise.all([
-      this.fetch('v4', file),
-      this.fetch('v6', file),
-    ])
-    .then(response => response.flat());
+     * version. Otherwise, obtain the collections of all IP versions. In both
+     * cases, the data will be returned as a single flat array. */
+    const versions = version ? [version] : ['v4', 'v6'];
+    return Promise.all(versions.map(v => this.fetchIndex(file, v)))
+      .then(response => response.flatMap(index => index.items));
   }
 
   /**
@@ -212,15 +325,17 @@ export class IPAM
    */
   static cmpIp(a, b)
   {
+    /* IPs of different versions can't be compared byte by byte. For these, IPv4
+     * addresses will be sorted before IPv6 ones. */
     const aByte = a.toByteArray();
     const bByte = b.toByteArray();
-    return aByte
-      .map((e, i) => e - bByte[i])
-      .reduce((accumulator, e, i) => {
-        let byte = (aByte.length - i - 1);
-        let mult = (2 ** (8 * byte));
-        return accumulator + (e * mult);
-      }, 0);
+    if (aByte.length != bByte.length)
+      return aByte.length - bByte.length;
+
+    /* Otherwise, the first byte differing between both IPs decides their
+     * order. If there's no such byte, both IPs are equal. */
+    const i = aByte.findIndex((e, i) => e != bByte[i]);
+    return (i < 0) ? 0 : (aByte[i] - bByte[i]);
   }
 
 
@@ -265,8 +380,7 @@ export class IPAM
    */
   static fetchIpAll(version = null)
   {
-    return this.fetchCollection('ip.json', version)
-      .then(response => response.map(this.enrichIp));
+    return this.fetchCollection('ip.json', version);
   }
 
   /**
@@ -282,8 +396,8 @@ export class IPAM
    */
   static fetchIp(ip)
   {
-    return this.fetchIpAll(this.ipVersion(ip))
-      .then(response => response.find((item) => item.ip == ip));
+    return this.fetchIndex('ip.json', this.ipVersion(ip))
+      .then(index => index.get(ip));
   }
 
   /**
@@ -291,7 +405,8 @@ export class IPAM
    *
    * This method gets all IPs, that match a specific IP range.
    *
-   * @note Subnets can be used as well for @p range, as they fit the same API.
+   * @note Subnets can be used as well, if converted by @ref IpRange.fromSubnet
+   *       before.
    *
    *
    * @param range The range IPs should be looked for.
@@ -300,13 +415,62 @@ export class IPAM
    */
   static fetchIpOfRange(range)
   {
-    return this.fetchIpAll(this.ipVersion(range.first))
-      .then(response => response.filter((item) => {
-        return range.match(ipaddr.process(item.ip));
-      }))
-      .then(response => response.sort((a, b) => {
-        return this.cmpIp(ipaddr.parse(a.ip), ipaddr.parse(b.ip));
-      }));
+    return this.fetchIndex('ip.json', this.ipVersion(range.first))
+      .then(index => index.within(range));
+  }
+
+  /**
+   * Get all free IPs of a specific IP range.
+   *
+   * This method gets all IPs of an IP range, that are neither assigned nor the
+   * gateway of the range, nor the network or broadcast address of the subnet
+   * the range belongs to.
+   *
+   *
+   * @param range The range free IPs should be looked for.
+   *
+   * @returns Promise to fetch the data. It resolves to an array of @ref IpRange
+   *          objects describing runs of consecutive free IPs.
+   */
+  static fetchFreeIpOfRange(range)
+  {
+    return Promise.all([
+      this.fetchIpOfRange(range),
+      this.fetchRange(range),
+      this.fetchSubnetByIp(range.first),
+    ])
+    .then(([ips, data, subnet]) => AddressSpace.free(range, [
+      ...ips.map(item => ipaddr.process(item.ip)),
+      ...(data ? data.gateways : []),
+      ...(subnet ? AddressSpace.reserved(ipaddr.parseCIDR(subnet.network))
+                 : []),
+    ]));
+  }
+
+  /**
+   * Get all free IPs of a specific subnet.
+   *
+   * This method is similar to @ref fetchFreeIpOfRange, but checks an entire
+   * subnet instead. The gateways of all ranges in the subnet will be excluded.
+   *
+   *
+   * @param subnet The subnet free IPs should be looked for.
+   *
+   * @returns Promise to fetch the data. It resolves to an array of @ref IpRange
+   *          objects describing runs of consecutive free IPs.
+   */
+  static fetchFreeIpOfSubnet(subnet)
+  {
+    const range = IpRange.fromSubnet(subnet);
+    return Promise.all([
+      this.fetchIpOfRange(range),
+      this.fetchRangeOfSubnet(subnet),
+    ])
+    .then(([ips, ranges]) => AddressSpace.free(range, [
+      ...ips.map(item => ipaddr.process(item.ip)),
+      ...ranges.flatMap(item => item.gateways),
+      ...AddressSpace.reserved(subnet),
+    ]));
   }
 
   /**
@@ -328,6 +492,62 @@ export class IPAM
       }));
   }
 
+  /**
+   * Get all IPs assigned to a given @p mac address.
+   *
+   * This method gets all IPs (IPv4 and IPv6) having a specific MAC address. As
+   * MAC addresses may be stored in different formats, their normalized values
+   * will be compared instead of the plain strings. IPv6 addresses without a
+   * MAC address will be included, if @p mac is embedded in their EUI-64
+   * interface identifier.
+   *
+   *
+   * @param mac The MAC address object to be looked up.
+   *
+   * @returns Promise to fetch the data.
+   */
+  static fetchIpByMac(mac)
+  {
+    return Promise.all([
+      this.fetchIndex('ip.json', 'v4'),
+      this.fetchIndex('ip.json', 'v6'),
+    ])
+    .then(response => response.flatMap(index => index.getByMac(mac, true)));
+  }
+
+  /**
+   * Get the SLAAC addresses of a given @p mac address.
+   *
+   * This method calculates the IPv6 addresses a host with @p mac would
+   * configure via SLAAC: its link-local address and one address for each IPv6
+   * subnet with a prefix length of 64 bits, as SLAAC doesn't work for others.
+   *
+   *
+   * @param mac The MAC address object to be looked up.
+   *
+   * @returns Promise to fetch the data. It resolves to an array of objects with
+   *          the 'subnet' (null for the link-local address), the 'ip' address
+   *          object and the IP address object 'item', if the IP is assigned.
+   */
+  static fetchSlaacByMac(mac)
+  {
+    return Promise.all([
+      this.fetchIndex('subnet.json', 'v6'),
+      this.fetchIndex('ip.json', 'v6'),
+    ])
+    .then(([subnets, ips]) => {
+      const linkLocal = mac.toLinkLocal();
+      return [{subnet: null, ip: linkLocal, item: ips.get(linkLocal)}]
+        .concat(subnets.items
+          .map(item => ipaddr.parseCIDR(item.network))
+          .filter(subnet => subnet[1] == 64)
+          .map(subnet => {
+            const ip = mac.toSlaac(subnet);
+            return {subnet, ip, item: ips.get(ip)};
+          }));
+    });
+  }
+
 
 
   // ########     ###    ##    ##  ######   ########
@@ -352,9 +572,19 @@ export class IPAM
   static enrichRange(data)
   {
     if (data)
+    {
       data.range = new IpRange(
         ipaddr.process(data.ip_first),
         ipaddr.process(data.ip_last));
+
+      /* Gateways may be a single string or a list of them. Some IPAMs (e.g.
+       * Microsoft IPAM) add the metric to the gateway separated by a slash,
+       * which will be stripped for getting the plain IP objects. */
+      data.gateways = [].concat(data.gateway ?? [])
+        .map(gw => String(gw).split('/')[0].trim())
+        .filter(gw => ipaddr.isValid(gw))
+        .map(gw => ipaddr.process(gw));
+    }
     return data;
   }
 
@@ -368,8 +598,7 @@ export class IPAM
    */
   static fetchRangeAll(version = null)
   {
-    return this.fetchCollection('range.json', version)
-      .then(response => response.map(this.enrichRange));
+    return this.fetchCollection('range.json', version);
   }
 
   /**
@@ -384,8 +613,8 @@ export class IPAM
    */
   static fetchRange(range)
   {
-    return this.fetchRangeAll(this.ipVersion(range.first))
-      .then(response => response.find((item) => range.equals(item.range)));
+    return this.fetchIndex('range.json', this.ipVersion(range.first))
+      .then(index => index.get(range));
   }
 
   /**
@@ -401,8 +630,8 @@ export class IPAM
    */
   static fetchRangeByIp(ip)
   {
-    return this.fetchRangeAll(this.ipVersion(ip))
-      .then(response => response.find((item) => item.range.match(ip)));
+    return this.fetchIndex('range.json', this.ipVersion(ip))
+      .then(index => index.match(ip)[0]);
   }
 
   /**
@@ -417,11 +646,8 @@ export class IPAM
    */
   static fetchRangeOfSubnet(subnet)
   {
-    return this.fetchRangeAll(this.ipVersion(subnet[0]))
-      .then(response => response.filter((i) => i.range.first.match(subnet)))
-      .then(response => response.sort((a, b) => {
-        return this.cmpIp(a.range.first, b.range.first);
-      }));
+    return this.fetchIndex('range.json', this.ipVersion(subnet[0]))
+      .then(index => index.within(IpRange.fromSubnet(subnet)));
   }
 
 
@@ -471,8 +697,7 @@ export class IPAM
    */
   static fetchSubnetAll(version = null)
   {
-    return this.fetchCollection('subnet.json', version)
-      .then(response => response.map(this.enrichSubnet));
+    return this.fetchCollection('subnet.json', version);
   }
 
   /**
@@ -487,27 +712,47 @@ export class IPAM
    */
   static fetchSubnet(subnet)
   {
-    return this.fetchSubnetAll(this.ipVersion(subnet[0]))
-      .then(response => response.find((item) => item.network == subnet));
+    return this.fetchIndex('subnet.json', this.ipVersion(subnet[0]))
+      .then(index => index.get(subnet));
   }
 
   /**
    * Fetch a subnet by one of its IPs.
    *
    * This method searches the API for a subnet that contains @p ip and returns
-   * it.
+   * it. If subnets are nested, the most specific one will be returned (longest
+   * prefix match).
    *
    *
    * @param ip The IP to be searched a subnet for.
+   * @param len Optional maximum prefix length of the subnet. This allows
+   *            searching for the parent of a subnet by its network address.
    *
    * @returns Promise to fetch the data.
    */
-  static fetchSubnetByIp(ip)
+  static fetchSubnetByIp(ip, len = null)
   {
-    return this.fetchSubnetAll(this.ipVersion(ip))
-      .then(response => response.find(
-        (item) => ip.match(ipaddr.parseCIDR(item.network))
-        ));
+    return this.fetchSubnetChainByIp(ip, len)
+      .then(response => response.at(-1));
+  }
+
+  /**
+   * Fetch all subnets containing an IP.
+   *
+   * This method searches the API for all subnets, that contain @p ip. This is
+   * useful for nested subnets, e.g. if a supernet and its subnets are defined.
+   *
+   *
+   * @param ip The IP to be searched subnets for.
+   * @param len Optional maximum prefix length of the subnets.
+   *
+   * @returns Promise to fetch the data. Subnets will be sorted from the
+   *          outermost to the most specific one.
+   */
+  static fetchSubnetChainByIp(ip, len = null)
+  {
+    return this.fetchIndex('subnet.json', this.ipVersion(ip))
+      .then(index => index.match(ip, len));
   }
 
   /**
@@ -522,14 +767,8 @@ export class IPAM
    */
   static fetchSubnetOfBlock(block)
   {
-    return this.fetchSubnetAll(this.ipVersion(block[0]))
-      .then(response => response.filter((item) => {
-        return ipaddr.parseCIDR(item.network)[0].match(block);
-      }))
-      .then(response => response.sort((a, b) => this.cmpIp(
-        ipaddr.parseCIDR(a.network)[0],
-        ipaddr.parseCIDR(b.network)[0]
-      )));
+    return this.fetchIndex('subnet.json', this.ipVersion(block[0]))
+      .then(index => index.within(block));
   }
 
 
@@ -556,22 +795,236 @@ export class IPAM
     return this.fetchCollection('block.json', version);
   }
 
+  /**
+   * Fetch an IP block object.
+   *
+   * This method searches the API for a specific IP block object and returns it.
+   *
+   *
+   * @param block The IP block to be fetched.
+   *
+   * @returns Promise to fetch the data.
+   */
+  static fetchBlock(block)
+  {
+    return this.fetchIndex('block.json', this.ipVersion(block[0]))
+      .then(index => index.get(block));
+  }
+
+  /**
+   * Fetch all IP blocks nested in a given IP block.
+   *
+   * This method searches for all IP blocks, that are in a given IP @p block,
+   * excluding the block itself.
+   *
+   *
+   * @param block The block nested blocks should be fetched for.
+   *
+   * @returns Promise to fetch the data.
+   */
+  static fetchBlockOfBlock(block)
+  {
+    return this.fetchIndex('block.json', this.ipVersion(block[0]))
+      .then(index => index.within(block))
+      .then(response => response.filter(item => {
+        const [ip, len] = ipaddr.parseCIDR(item.network);
+        return (len != block[1]) || (String(ip) != String(block[0]));
+      }));
+  }
+
+  /**
+   * Get all unallocated prefixes of a given IP block.
+   *
+   * This method removes all subnets of an IP @p block from it. The remaining
+   * space will be returned as a list of CIDR prefixes.
+   *
+   *
+   * @param block The block unallocated prefixes should be looked for.
+   *
+   * @returns Promise to fetch the data. It resolves to an array of subnets in
+   *          the format returned by 'parseCIDR'.
+   */
+  static fetchUnallocatedOfBlock(block)
+  {
+    return this.fetchSubnetOfBlock(block)
+      .then(response => AddressSpace.free(
+        IpRange.fromSubnet(block),
+        response.map(item => IpRange.fromSubnet(
+          ipaddr.parseCIDR(item.network)))))
+      .then(response => response.flatMap(i => AddressSpace.toPrefixes(i)));
+  }
+
+  /**
+   * Plan new subnets in a given IP block.
+   *
+   * This method suggests new subnets in an IP @p block, that don't overlap any
+   * of the existing subnets. See @ref AddressSpace.plan for details.
+   *
+   *
+   * @param block The block new subnets should be planned in.
+   * @param prefix The prefix length of the subnets to be planned.
+   * @param count The number of subnets to be suggested.
+   * @param bestFit Whether to use best fit instead of first fit placement.
+   *
+   * @returns Promise to fetch the data. It resolves to an array of subnets in
+   *          the format returned by 'parseCIDR'.
+   */
+  static fetchPlanOfBlock(block, prefix, count, bestFit = false)
+  {
+    return this.fetchSubnetOfBlock(block)
+      .then(response => AddressSpace.plan(
+        IpRange.fromSubnet(block),
+        response.map(item => IpRange.fromSubnet(
+          ipaddr.parseCIDR(item.network))),
+        prefix, count, bestFit));
+  }
+
   /**
    * Fetch an IP block by one of its IPs.
    *
    * This method searches the API for an IP block that contains @p ip and
-   * returns it.
+   * returns it. If blocks are nested, the most specific one will be returned
+   * (longest prefix match).
    *
    *
    * @param ip The IP to be searched an IP block for.
+   * @param len Optional maximum prefix length of the block. This allows
+   *            searching for the block of a subnet by its network address.
    *
    * @returns Promise to fetch the data.
    */
-  static fetchBlockByIp(ip)
+  static fetchBlockByIp(ip, len = null)
+  {
+    return this.fetchBlockChainByIp(ip, len)
+      .then(response => response.at(-1));
+  }
+
+  /**
+   * Fetch all IP blocks containing an IP.
+   *
+   *
+   * @param ip The IP to be searched IP blocks for.
+   * @param len Optional maximum prefix length of the blocks.
+   *
+   * @returns Promise to fetch the data. Blocks will be sorted from the
+   *          outermost to the most specific one.
+   */
+  static fetchBlockChainByIp(ip, len = null)
   {
-    return this.fetchBlockAll(this.ipVersion(ip))
-      .then(response => response.find(
-        (item) => ip.match(ipaddr.parseCIDR(item.network))
-        ));
+    return this.fetchIndex('block.json', this.ipVersion(ip))
+      .then(index => index.match(ip, len));
+  }
+
+
+
+
+  //  ######     ###     ######  ##     ## ########
+  // ##    ##   ## ##   ##    ## ##     ## ##
+  // ##        ##   ##  ##       ##     ## ##
+  // ##       ##     ## ##       ######### ######
+  // ##       ######### ##       ##     ## ##
+  // ##    ## ##     ## ##    ## ##     ## ##
+  //  ######  ##     ##  ######  ##     ## ########
+
+  /**
+   * Wrap an IndexedDB request in a promise.
+   *
+   *
+   * @param request The IndexedDB request to be wrapped.
+   *
+   * @returns Promise resolving to the result of @p request.
+   */
+  static idbRequest(request)
+  {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror   = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open the client-side cache.
+   *
+   * API files will be cached in the browser's IndexedDB, so they don't need to
+   * be downloaded again for each page. The cache is bound to the timestamp of
+   * the last API update: if it changes, all cached files will be dropped.
+   *
+   * @note If the browser doesn't support IndexedDB (e.g. in private mode) or
+   *       the API has no update timestamp to validate the cache against, no
+   *       cache will be used at all.
+   *
+   *
+   * @returns Promise resolving to the cache database or null, if no cache is
+   *          available.
+   */
+  static openCache()
+  {
+    this.cache ??= this.getLastUpdate()
+      .then(update => {
+        if (!update || !window.indexedDB)
+          return null;
+
+        const request = window.indexedDB.open('ipam', 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('api');
+        return this.idbRequest(request)
+
+          /* Check the timestamp the cached files belong to. If it doesn't match
+           * the current one, the cache will be cleared before being used. */
+          .then(db => {
+            const store = db.transaction('api', 'readwrite').objectStore('api');
+            return this.idbRequest(store.get('#update'))
+              .then(cached => {
+                if (cached == update.toISOString())
+                  return db;
+
+                store.clear();
+                return this.idbRequest(store.put(update.toISOString(),
+                                                 '#update'))
+                  .then(() => db);
+              });
+          });
+      })
+
+      /* Any errors of the cache will be ignored and the cache disabled instead.
+       * Fetching files directly from the API is still possible. */
+      .catch(() => null);
+
+    return this.cache;
+  }
+
+  /**
+   * Fetch a JSON file via API with caching.
+   *
+   * This method is similar to @ref fetchJson, but will lookup the file in the
+   * client-side cache first. Files not cached yet will be fetched from the API
+   * and stored in the cache afterwards.
+   *
+   *
+   * @param url The URL of the file to be fetched.
+   *
+   * @returns Promise to fetch the decoded file contents.
+   */
+  static fetchCached(url)
+  {
+    return this.openCache()
+      .then(db => {
+        if (!db)
+          return this.fetchJson(url);
+
+        /* Like for opening the cache, any errors of the cache will be ignored.
+         * Transactions may throw synchronously (e.g. if the database is being
+         * closed), so they're created inside the promise chain. Failing to
+         * store a file doesn't affect the data already fetched. */
+        const store = mode => db.transaction('api', mode).objectStore('api');
+        return Promise.resolve()
+          .then(() => this.idbRequest(store('readonly').get(url)))
+          .catch(() => undefined)
+          .then(cached => cached ?? this.fetchJson(url).then(data => {
+            Promise.resolve()
+              .then(() => this.idbRequest(store('readwrite').put(data, url)))
+              .catch(() => null);
+            return data;
+          }));
+      });
   }
 }
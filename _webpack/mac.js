@@ -7,6 +7,9 @@
  * this source code.
  */
 
+import ipaddr from 'ipaddr.js';
+
+
 /**
  * MAC address class.
  *
@@ -55,6 +58,91 @@ export class MacAddress
     return new this(str);
   }
 
+  /**
+   * Extract the MAC address of an EUI-64 IPv6 address.
+   *
+   * Hosts using SLAAC without privacy extensions derive the interface
+   * identifier of their IPv6 addresses from their MAC address (RFC 4291,
+   * appendix A). This method reverses this conversion.
+   *
+   *
+   * @param ip The IP to be checked.
+   *
+   * @returns The embedded MAC address object or null, if @p ip isn't an EUI-64
+   *          IPv6 address.
+   */
+  static fromEui64(ip)
+  {
+    if (ip.kind() != 'ipv6')
+      return null;
+
+    /* EUI-64 interface identifiers have 'FFFE' inserted in the middle of the
+     * MAC address. Additionally, the universal/local bit has been flipped. */
+    const bytes = ip.toByteArray().slice(8);
+    if (bytes[3] != 0xff || bytes[4] != 0xfe)
+      return null;
+
+    bytes[0] ^= 0x02;
+    return new this(bytes
+      .filter((_, i) => i != 3 && i != 4)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join(':'));
+  }
+
+  /**
+   * Get the EUI-64 interface identifier of this MAC address.
+   *
+   *
+   * @returns The interface identifier as array of 8 bytes.
+   */
+  toEui64()
+  {
+    const bytes = this.data.match(/.{2}/g).map(b => parseInt(b, 16));
+    bytes[0] ^= 0x02;
+    return [...bytes.slice(0, 3), 0xff, 0xfe, ...bytes.slice(3)];
+  }
+
+  /**
+   * Get the SLAAC address of this MAC address in a subnet.
+   *
+   * @note SLAAC requires a prefix length of 64 bits. For other subnets, the
+   *       address will be calculated anyway, but hosts won't use it.
+   *
+   *
+   * @param subnet The IPv6 subnet, as returned by 'parseCIDR'.
+   *
+   * @returns The IPv6 address object the host would configure via SLAAC.
+   */
+  toSlaac(subnet)
+  {
+    return ipaddr.fromByteArray(
+      subnet[0].toByteArray().slice(0, 8).concat(this.toEui64()));
+  }
+
+  /**
+   * Get the link-local address of this MAC address.
+   *
+   *
+   * @returns The IPv6 link-local address object derived from this MAC address.
+   */
+  toLinkLocal()
+  {
+    return this.toSlaac(ipaddr.parseCIDR('fe80::/64'));
+  }
+
+  /**
+   * Compare two MAC addresses.
+   *
+   *
+   * @param other The MAC address compared to this one.
+   *
+   * @returns Whether both MAC addresses are equal or not.
+   */
+  equals(other)
+  {
+    return (other instanceof MacAddress) && (this.data == other.data);
+  }
+
   /**
    * Convert MAC address to string.
    *
@@ -7,11 +7,21 @@
  * this source code.
  */
 
-import {IPAM}    from './ipam';
-import {IpRange} from './range';
-import {Page}    from './page';
-import {Query}   from './query';
-import {Search}  from './search';
+import ipaddr         from 'ipaddr.js';
+import {Anomalies}    from './anomalies';
+import {Expiry}       from './expiry';
+import {History}      from './history';
+import {Host}         from './host';
+import {IPAM}         from './ipam';
+import {IpRange}      from './range';
+import {MacAddress}   from './mac';
+import {Page}         from './page';
+import {Query}        from './query';
+import {ReverseDns}   from './reverse';
+import {Search}       from './search';
+import {AddressSpace} from './space';
+import {Tree}         from './tree';
+import {Validator}    from './validator';
 
 
 // =====
@@ -23,6 +33,226 @@ const query = new Query();
 
 
 
+// ================
+// Helper functions
+// ================
+
+/**
+ * Add the breadcrumb for an object.
+ *
+ * This function fills the breadcrumb with all blocks and subnets enclosing an
+ * object, from the outermost block to the most specific subnet, followed by the
+ * object itself.
+ *
+ *
+ * @param ip The IP (or network address) of the object.
+ * @param len Maximum prefix length of the enclosing blocks and subnets. If
+ *            null, all blocks and subnets containing @p ip will be added.
+ * @param title Title of the object itself.
+ */
+function addBreadcrumb(ip, len, title)
+{
+  Promise.all([
+    IPAM.fetchBlockChainByIp(ip, len),
+    IPAM.fetchSubnetChainByIp(ip, len),
+  ])
+  .then(([blocks, subnets]) => {
+    blocks.forEach( item => Page.addBreadcrumb(item.network, 'block'));
+    subnets.forEach(item => Page.addBreadcrumb(item.network, 'subnet'));
+    Page.addBreadcrumb(title);
+  });
+}
+
+/**
+ * Convert a change of an object into a table row.
+ *
+ * The row describes the type of the change and all fields changed. It links to
+ * the history of the object, so changes can be tracked even for objects that
+ * have been removed since.
+ *
+ *
+ * @param file The collection of the object.
+ * @param change The change as returned by @ref History.diff.
+ *
+ * @returns The table row.
+ */
+function changeToRow(file, change)
+{
+  const colors = {added: 'success', removed: 'danger', modified: 'warning'};
+
+  /* Field names aren't sanitized like values of API data, so they'll be escaped
+   * by the DOM before being rendered. */
+  const details = change.changes.map(c => {
+    const name = document.createElement('b');
+    name.textContent = c.field;
+    const value = (change.type == 'modified')
+      ? (c.before || '<i>empty</i>') + ' &rarr; ' + (c.after || '<i>empty</i>')
+      : (c.before || c.after);
+    return name.outerHTML + ': ' + value;
+  });
+
+  return {
+    object:  change.key,
+    change:  `<span class="badge text-bg-${colors[change.type]}">`
+             + change.type + '</span>',
+    details: details.join('<br/>'),
+    link:    Page.toResourceUrl(IPAM_BASE_URL + Search.types[file].link,
+                                change.key) + '#history',
+  };
+}
+
+/**
+ * Add the history of objects to the history tab.
+ *
+ * The history will be loaded when the tab is shown for the first time, as the
+ * snapshots need to be fetched for it. Only the number of recent snapshots
+ * configured for the tab will be checked.
+ *
+ *
+ * @param file The collection of the objects.
+ * @param versions Array of IP versions to be checked.
+ * @param match Function checking whether an object should be tracked (see
+ *              @ref History.track).
+ */
+function addHistory(file, versions, match)
+{
+  Page.initTabs({history: () => {
+    const info  = document.getElementById('ipam.history.info');
+    const limit = Number(info.dataset.snapshots) || null;
+    return Promise
+      .all([History.track(file, versions, match, limit), IPAM.getLastUpdate()])
+      .then(([{snapshots, changes}, update]) => {
+        if (snapshots.length == 0)
+        {
+          info.textContent = 'No snapshots of the API data available.';
+          return;
+        }
+
+        info.textContent = ((changes.length > 0) ? 'Changes' : 'No changes')
+          + ' since ' + History.toDate(snapshots[0]) + '.';
+
+        /* Changes of the current data will be dated to the last API update, as
+         * the current data has no snapshot identifier. Rows don't need a link,
+         * as they'd link to the history shown already. */
+        const current = History.toDate(History.toId(update ?? new Date()));
+        Page.addTableRows('history', changes.map(change => ({
+          ...changeToRow(file, change),
+          date: change.snapshot ? History.toDate(change.snapshot) : current,
+          link: null,
+        })));
+      })
+      .catch(e => {
+        info.textContent = 'Failed to load the history: ' + e.message;
+      });
+  }});
+}
+
+/**
+ * Set up the download of reverse DNS zones.
+ *
+ * The zones of the prefix will be listed for selection, as prefixes may span
+ * multiple zones. The selected zone will be generated from the current IPAM
+ * data on download.
+ *
+ *
+ * @param q The prefix, as returned by 'parseCIDR'.
+ */
+function addReverseZones(q)
+{
+  const select = document.getElementById('ipam.reverse.zone');
+  const button = document.getElementById('ipam.reverse.download');
+  const zones = ReverseDns.zones(q);
+  zones.forEach((zone, i) =>
+    select.add(new Option(ReverseDns.zoneName(zone), i)));
+
+  /* The zone's nameserver and domain are configured by the site and passed via
+   * the button's attributes. Unset values will be omitted, so the defaults
+   * apply. */
+  const options = Object.fromEntries(Object
+    .entries(button.dataset)
+    .filter(([, value]) => value));
+  button.onclick = () => Promise
+    .all([IPAM.fetchIpOfRange(IpRange.fromSubnet(q)), IPAM.getLastUpdate()])
+    .then(([items, update]) => {
+      const zone = zones[select.value];
+      const result = ReverseDns.generate(zone, q, items, {
+        ...options,
+        serial: ReverseDns.serial(update ?? new Date()),
+      });
+      Page.download(ReverseDns.zoneName(zone) + '.zone', 'text/dns',
+                    result.content);
+    });
+
+  Page.show('ipam.reverse');
+}
+
+/**
+ * Look up an item of a bulk lookup.
+ *
+ * This function gets the IPs related to an @p item, along with their IP ranges
+ * and subnets. As MAC addresses and hostnames may be assigned to multiple IPs,
+ * the values of all of them will be combined.
+ *
+ *
+ * @param item The IP, MAC address or hostname to be looked up.
+ *
+ * @returns Promise to fetch the table row of the item.
+ */
+function lookupBulkItem(item)
+{
+  const isIp = Query.isIP(item);
+  const fetchIps = isIp
+    ? IPAM.fetchIp(item).then(r => r ? [r] : [])
+    : ((item instanceof MacAddress)
+      ? IPAM.fetchIpByMac(item)
+      : IPAM.fetchIpByName(item));
+
+  return fetchIps
+    .then(ips => Promise
+      /* IP ranges and subnets will be looked up for IP items, even if they're
+       * not assigned. For other items, the assigned IPs will be used. */
+      .all((isIp ? [item] : ips.map(i => ipaddr.process(i.ip)))
+        .map(ip => Promise.all([
+          IPAM.fetchRangeByIp(ip),
+          IPAM.fetchSubnetByIp(ip),
+        ])))
+      .then(response => {
+        const ranges  = response.map(([r]) => r).filter(r => r);
+        const subnets = response.map(([, s]) => s).filter(s => s);
+        const join = values =>
+          [...new Set(values.filter(v => v).map(String))].join('<br/>');
+
+        /* Owner and site of the IPs take precedence over the ones of their IP
+         * ranges and subnets, as they're more specific. */
+        const attr = name => join(ips.map(i => i[name]))
+          || join(ranges.map(r => r[name]))
+          || join(subnets.map(s => s[name]));
+
+        const status = (ips.length > 0)
+          ? ['success', 'Assigned']
+          : ((subnets.length > 0) ? ['warning', 'Unassigned']
+                                  : ['danger', 'Not found']);
+        return {
+          item:       String(item),
+          type:       isIp ? 'IP'
+            : ((item instanceof MacAddress) ? 'MAC' : 'Hostname'),
+          assignment: join(ips.map(i => isIp ? i.name : i.ip)),
+          range:      join(ranges.map(r => r.range)),
+          subnet:     join(subnets.map(s => s.network)),
+          owner:      attr('owner'),
+          site:       attr('site'),
+          status:     '<span class="badge text-bg-' + status[0] + '">'
+                      + status[1] + '</span>',
+          link:       Page.toResourceUrl(
+            IPAM_BASE_URL + Search.getResourceTypeUrl(item),
+            encodeURIComponent(String(item))),
+        };
+      }));
+}
+
+
+
+
 // ==============
 // Site functions
 // ==============
@@ -51,14 +281,155 @@ export function lookup_ip()
    * and tables at the page. */
   Page.setTitle(q);
   IPAM.fetchIp(q).then(data => {
-    Page.fillCard('ip', data);
-    if (data.name)
-      IPAM.fetchIpByName(data.name)
-        .then(response => response.filter(item => item.ip != data.ip))
-        .then(response => Page.addTableRows('ip', response));
+    /* IPv6 addresses often lack a MAC address, but it may be embedded in their
+     * EUI-64 interface identifier. In this case, the embedded MAC address will
+     * be shown, so the IP can be correlated with the host's other IPs. */
+    const mac = data?.mac ?? MacAddress.fromEui64(q);
+    Page.fillCard('ip', (data && mac) ? {...data, mac} : data);
+
+    /* Other IPs of the same host are listed as additional assignments. These
+     * are the ones having the same name or MAC address, including IPv6
+     * addresses with the MAC address embedded. */
+    Promise
+      .all([
+        data?.name ? IPAM.fetchIpByName(data.name) : [],
+        mac ? IPAM.fetchIpByMac(mac) : [],
+      ])
+      .then(([byName, byMac]) => [...new Set(byName.concat(byMac))]
+        .filter(item => String(ipaddr.process(item.ip)) != String(q)))
+      .then(response => Page.addTableRows('ip', response));
   });
   IPAM.fetchRangeByIp(q).then( data => Page.fillCard('range',  data));
   IPAM.fetchSubnetByIp(q).then(data => Page.fillSubnet(data, q));
+  addBreadcrumb(q, null, String(q));
+  addHistory('ip', [IPAM.ipVersion(q)], (item, key) => key == String(q));
+}
+
+/**
+ * Lookup a MAC address.
+ *
+ * This function looks up all IP assignments (IPv4 and IPv6) of the MAC address
+ * passed in the global query string. For each of them, the assignment will be
+ * displayed along with its range and subnet. Additionally, the SLAAC addresses
+ * of the MAC address will be listed for each IPv6 subnet.
+ */
+export function lookup_mac()
+{
+  /* Evaluate the query and check, whether it's a valid MAC address object. If
+   * not, this method can't handle the query and an error will be displayed. */
+  const q = query.global;
+  if (!(q instanceof MacAddress))
+  {
+    Page.error('The given query string is not a valid MAC address.');
+    return;
+  }
+
+  /* Process the query and fetch all IP assignments of the MAC address. For each
+   * of them, a new set of cards will be added to the page and filled with the
+   * related data. */
+  Page.setTitle(q);
+  addHistory('ip', ['v4', 'v6'], item =>
+    MacAddress.isValid(item.mac) && MacAddress.process(item.mac).equals(q));
+  IPAM.fetchIpByMac(q).then(data => {
+    if (data.length == 0)
+    {
+      Page.error('No IP assignments found for this MAC address.', false);
+      return;
+    }
+
+    data.forEach((item, index) => {
+      const ip = ipaddr.process(item.ip);
+      const suffix = '-' + index;
+
+      /* The template's IDs already include the separator of the suffix, so
+       * just the index needs to be inserted. */
+      Page.addTemplate('ipam.template.mac', index);
+      Page.fillCard('ip' + suffix, item);
+      IPAM.fetchRangeByIp(ip).then( r => Page.fillCard('range'  + suffix, r));
+      IPAM.fetchSubnetByIp(ip).then(r => Page.fillCard('subnet' + suffix, r));
+    });
+  });
+
+  /* List the IPv6 addresses the host would configure via SLAAC, so these can
+   * be correlated with the host, even if they're not assigned in the IPAM. */
+  IPAM.fetchSlaacByMac(q)
+    .then(data => data.map(r => ({
+      subnet: r.subnet ? String(r.subnet) : 'Link-local',
+      ip:     String(r.ip),
+      name:   r.item
+        ? (r.item.name ?? 'Assigned')
+        : '<span class="text-muted">Not assigned</span>',
+    })))
+    .then(data => Page.addTableRows('slaac', data));
+}
+
+/**
+ * Lookup a host.
+ *
+ * This function looks up all IP assignments of the device with the hostname
+ * passed in the global query string. Besides the IPs of the hostname, the ones
+ * sharing its MAC addresses, asset tags or serial numbers will be listed, too.
+ */
+export function lookup_host()
+{
+  /* Evaluate the query and check, whether it's a plain string. Other objects
+   * (e.g. IPs) have their own lookup pages and can't be handled here. */
+  const q = query.global;
+  if ((typeof q != 'string') || (q == ''))
+  {
+    Page.error('The given query string is not a valid hostname.');
+    return;
+  }
+
+  Page.setTitle(q);
+  Host.find(q).then(results => {
+    if (results.length == 0)
+    {
+      Page.error('No IP assignments found for this host.', false);
+      return;
+    }
+
+    /* Summarize the identifiers of the device. Each value will be listed just
+     * once, even if it's used by several of its IPs. */
+    const join = values =>
+      [...new Set(values.filter(v => v).map(String))].join('<br/>');
+    const attr = name => join(results.map(r => r.item[name]));
+    const link = (url, value) => Page.createLink(
+      Page.toResourceUrl(IPAM_BASE_URL + url, value), value).outerHTML;
+    const count = version => results
+      .filter(r => IPAM.ipVersion(ipaddr.process(r.item.ip)) == version)
+      .length;
+
+    Page.fillCard('host', {
+      names:     attr('name'),
+      types:     attr('type'),
+      assets:    attr('asset'),
+      serials:   attr('serial'),
+      owners:    attr('owner'),
+      sites:     join(results.map(r => r.site)),
+      subnets:   join(results
+        .filter(r => r.subnet)
+        .map(r => link(Search.types.subnet.link, r.subnet.network))),
+      addresses: count('v4') + ' IPv4, ' + count('v6') + ' IPv6',
+    });
+
+    /* Interfaces link to their MAC address page. IPs without MAC address are
+     * grouped into an unknown interface, which can't be linked. */
+    Page.addTableRows('interface', Host.interfaces(results).map(i => ({
+      mac: i.mac ? String(i.mac) : '<i>Unknown</i>',
+      v4:  i.v4.map(item => item.ip).join('<br/>'),
+      v6:  i.v6.map(item => item.ip).join('<br/>'),
+      ...(i.mac ? {} : {link: null}),
+    })));
+    Page.addTableRows('host', results.map(r => ({
+      ip:      r.item.ip,
+      name:    r.item.name,
+      mac:     Host.macOf(r.item) ? String(Host.macOf(r.item)) : '',
+      subnet:  r.subnet?.network,
+      site:    r.site,
+      reasons: r.reasons.join(', '),
+    })));
+  });
 }
 
 /**
@@ -87,8 +458,15 @@ export function lookup_range()
       'utilization',
       (data && 'percentUtilized' in data) ? data.percentUtilized : null);
   });
-  IPAM.fetchSubnetByIp(q.first).then(data => Page.fillSubnet(data, ''));
+  IPAM.fetchSubnetByIp(q.first).then(data => {
+    Page.fillSubnet(data, '');
+    Page.fillCalculator('calculator',
+                        data ? ipaddr.parseCIDR(data.network) : null);
+  });
   IPAM.fetchIpOfRange(q).then(data => Page.addTableRows('ip', data));
+  IPAM.fetchFreeIpOfRange(q).then(data => Page.fillFree('free', data));
+  addHistory('range', [IPAM.ipVersion(q.first)],
+             (item, key) => key == String(q));
 }
 
 /**
@@ -117,8 +495,14 @@ export function lookup_subnet()
       'utilization',
       (data && 'percentUtilized' in data) ? data.percentUtilized : null);
   });
-  IPAM.fetchBlockByIp(q[0]).then(data => Page.fillCard('block', data));
+  IPAM.fetchBlockByIp(q[0], q[1]).then(data => Page.fillCard('block', data));
   IPAM.fetchRangeOfSubnet(q).then(data => Page.addTableRows('range', data));
+  IPAM.fetchFreeIpOfSubnet(q).then(data => Page.fillFree('free', data));
+  Page.fillCalculator('calculator', q);
+  addReverseZones(q);
+  addBreadcrumb(q[0], q[1] - 1, String(q));
+  addHistory('subnet', [IPAM.ipVersion(q[0])],
+             (item, key) => key == String(q));
 }
 
 /**
@@ -126,11 +510,8 @@ export function lookup_subnet()
  *
  * This function is nearly identical to @function lookup_subnet, but will look
  * up an IP block instead of a subnet. It uses the block passed in the global
- * query string and displays related objects.
- *
- * @note The page being rendered will not have any information about the block
- *       itself (like assignment date), as there's not enough information to
- *       display why it would be a waste of space.
+ * query string and displays its information along with related objects and the
+ * space not allocated by any subnet yet.
  */
 export function lookup_block()
 {
@@ -146,7 +527,384 @@ export function lookup_block()
   /* Process the query, fetch all data and fill the related data into the cards
    * and tables at the page. */
   Page.setTitle(q);
+  Page.setLink('ipam.block.plan', q);
+  addReverseZones(q);
+  IPAM.fetchBlock(q).then(data => {
+    Page.fillCard('block', data);
+    Page.drawGraph(
+      'assignment',
+      (data && 'percentAssigned' in data) ? data.percentAssigned : null);
+    Page.drawGraph(
+      'utilization',
+      (data && 'percentUtilized' in data) ? data.percentUtilized : null);
+  });
   IPAM.fetchSubnetOfBlock(q).then(data => Page.addTableRows('subnet', data));
+  IPAM.fetchUnallocatedOfBlock(q)
+    .then(data => Page.fillList('unallocated', data));
+  addHistory('block', [IPAM.ipVersion(q[0])],
+             (item, key) => key == String(q));
+}
+
+/**
+ * Plan new subnets in an IP block.
+ *
+ * This function suggests new subnets for the block passed in the global query
+ * string. The size of the subnets is either given as prefix length or number
+ * of hosts in additional query parameters, along with the number of subnets and
+ * the placement strategy.
+ */
+export function plan_subnets()
+{
+  /* Evaluate the query and check, whether it's a valid IP block object. If not,
+   * this method can't handle the query and an error will be displayed. */
+  const q = query.global;
+  const params = new URLSearchParams(window.location.search);
+  const form = document.getElementById('planner');
+  form.q.value      = params.get('q')      ?? '';
+  form.prefix.value = params.get('prefix') ?? '';
+  form.hosts.value  = params.get('hosts')  ?? '';
+  form.count.value  = params.get('count')  ?? form.count.value;
+  form.fit.checked  = params.get('fit') == 'best';
+  if (q === null)
+    return;
+  if (!Query.isSubnet(q))
+  {
+    Page.error('The given query string is not a valid subnet in CIDR format.',
+               false);
+    return;
+  }
+
+  /* Get the size of the subnets to be planned. If a number of hosts is given,
+   * it takes precedence over the prefix length, as the latter can be derived
+   * from it. */
+  const bits = q[0].toByteArray().length * 8;
+  const hosts = Number(params.get('hosts'));
+  if (params.get('hosts') && !(Number.isSafeInteger(hosts) && hosts > 0))
+  {
+    Page.error('The number of hosts must be a positive integer.', false);
+    return;
+  }
+  const prefix = params.get('hosts')
+    ? AddressSpace.prefixForHosts(hosts, q[0].kind())
+    : Number(params.get('prefix'));
+  const count = Number(params.get('count') || 1);
+  if (!Number.isInteger(prefix) || prefix < q[1] || prefix > bits)
+  {
+    Page.error('The requested subnet size does not fit into the block.', false);
+    return;
+  }
+
+  /* Planning is limited to a reasonable number of subnets, as large blocks
+   * could be split into billions of subnets, which can't be handled by the
+   * browser anyway. */
+  if (!Number.isInteger(count) || count < 1 || count > 256)
+  {
+    Page.error('The number of subnets must be between 1 and 256.', false);
+    return;
+  }
+
+  /* Fetch the suggested subnets and print them in the results table. Each of
+   * them links to its subnet page, which shows its free space. */
+  IPAM.fetchPlanOfBlock(q, prefix, count, params.get('fit') == 'best')
+    .then(data => data.map(subnet => {
+      const range = IpRange.fromSubnet(subnet);
+      return {
+        network: String(subnet),
+        range:   String(range),
+        size:    range.size().toLocaleString(),
+      };
+    }))
+    .then(data => {
+      if (data.length == 0)
+        Page.error('There is no free space left for the requested subnets.',
+                   false);
+      else
+        Page.addTableRows('plan', data);
+    });
+}
+
+/**
+ * Calculate a subnet.
+ *
+ * This function is called from the subnet calculator page. It calculates the
+ * subnet passed in the global query string, which doesn't need to be in the
+ * IPAM.
+ */
+export function calculate_subnet()
+{
+  const q = query.global;
+  document.getElementById('calculator').q.value =
+    new URLSearchParams(window.location.search).get('q') ?? '';
+  if (q === null)
+    return;
+  if (!Query.isSubnet(q))
+  {
+    Page.error('The given query string is not a valid subnet in CIDR format.',
+               false);
+    return;
+  }
+
+  Page.show('content');
+  Page.fillCalculator('calculator', q);
+}
+
+/**
+ * Look up a list of items.
+ *
+ * This function is called from the bulk lookup page. All IPs, MAC addresses
+ * and hostnames of the text entered will be looked up and listed in a table,
+ * flagging the ones not found.
+ */
+export function bulk_lookup()
+{
+  const form = document.getElementById('bulk');
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+
+    /* Reset the page, as the form may be submitted multiple times. */
+    Page.hide('error');
+    Page.show('content');
+    Page.clearTable('bulk');
+
+    const items = Query.extract(form.text.value);
+    if (items.length == 0)
+    {
+      Page.error('No IPs, MAC addresses or hostnames found in the text.',
+                 false);
+      return;
+    }
+
+    Promise.all(items.map(lookupBulkItem))
+      .then(data => Page.addTableRows('bulk', data));
+  });
+}
+
+/**
+ * Report expired, expiring and stale IP assignments.
+ *
+ * This function is called from the expiry report page. The report options are
+ * taken from the URL, so reports can be shared and bookmarked. All assignments
+ * found will be listed in a table, which can be exported for further
+ * processing.
+ */
+export function report_expiry()
+{
+  const params = new URLSearchParams(window.location.search);
+  const form = document.getElementById('expiry');
+  form.days.value   = params.get('days')   ?? form.days.value;
+  form.years.value  = params.get('years')  ?? form.years.value;
+  form.site.value   = params.get('site')   ?? '';
+  form.scope.value  = params.get('scope')  ?? '';
+  form.subnet.value = params.get('subnet') ?? '';
+
+  /* All sites and scopes used by any object will be suggested for the filters,
+   * as IPs may inherit them from their IP range or subnet. */
+  Promise.all([IPAM.fetchIpAll(), IPAM.fetchRangeAll(), IPAM.fetchSubnetAll()])
+    .then(response => response.flat())
+    .then(items => ['site', 'scope'].forEach(field => {
+      const list = document.getElementById('expiry.' + field + 's');
+      [...new Set(items.map(i => i[field]).filter(v => v))]
+        .sort()
+        .forEach(value => {
+          const option = document.createElement('option');
+          option.value = value;
+          list.appendChild(option);
+        });
+    }));
+
+  const days  = Number(form.days.value);
+  const years = Number(form.years.value);
+  if (!Number.isInteger(days) || !Number.isInteger(years)
+      || (days < 0) || (years < 0))
+  {
+    Page.error('Days and years must be whole numbers of zero or more.', false);
+    return;
+  }
+
+  let subnet = null;
+  if (form.subnet.value)
+  {
+    subnet = Query.parse(form.subnet.value);
+    if (!Query.isSubnet(subnet))
+    {
+      Page.error('The given subnet is not a valid subnet in CIDR format.',
+                 false);
+      return;
+    }
+  }
+
+  const statuses = {
+    'expired':  ['danger',    'Expired'],
+    'expiring': ['warning',   'Expiring'],
+    'stale':    ['secondary', 'Stale'],
+  };
+  Expiry
+    .find({
+      days:   days,
+      years:  years,
+      site:   form.site.value.trim(),
+      scope:  form.scope.value.trim(),
+      subnet: subnet,
+    })
+    .then(results => {
+      if (results.length == 0)
+      {
+        Page.error('No expired, expiring or stale assignments found.', false);
+        return;
+      }
+
+      Page.addTableRows('expiry', results.map(r => {
+        const [color, label] = statuses[r.status];
+        return {
+          ip:       r.item.ip,
+          name:     r.item.name,
+          subnet:   r.subnet?.network,
+          site:     r.site,
+          scope:    r.scope,
+          owner:    r.item.owner,
+          assigned: r.item.assigned,
+          expires:  r.item.expires,
+          status:   `<span class="badge text-bg-${color}">${label}</span>`,
+        };
+      }));
+    });
+}
+
+/**
+ * Validate the API files.
+ *
+ * This function is called from the validation page. All API files will be
+ * checked against the API description files and the problems found listed in a
+ * table.
+ */
+export function validate_api()
+{
+  const validator = new Validator(IPAM_API_SCHEMA);
+  Promise
+    .all(['v4', 'v6'].flatMap(version => Validator.files.map(file => {
+      const name = version + '/' + file + '.json';
+      return IPAM.fetchJson([IPAM_BASE_URL, 'api', name].join('/'))
+        .then(data => validator.validate(file, version, data))
+
+        /* Files, that can't be fetched or decoded, will be reported as a
+         * whole, as none of their records can be checked. */
+        .catch(e => [{file: name, key: null, field: null, level: 'error',
+                      message: 'Failed to load file: ' + e.message}]);
+    })))
+    .then(response => response.flat())
+    .then(results => {
+      if (results.length == 0)
+      {
+        Page.show('valid');
+        return;
+      }
+
+      /* As the API data hasn't been sanitized, the values of invalid records
+       * need to be escaped before being rendered. */
+      Page.addTableRows('validate', results.map(r => {
+        const row = IPAM.sanitizeValues({
+          file:    r.file,
+          record:  r.key ?? '',
+          field:   r.field ?? '',
+          value:   (r.value === undefined) ? '' : JSON.stringify(r.value),
+          message: r.message,
+          link:    null,
+        });
+        row.level = '<span class="badge text-bg-'
+          + ((r.level == 'error') ? 'danger' : 'warning') + '">'
+          + r.level + '</span>';
+        return row;
+      }));
+    });
+}
+
+/**
+ * List anomalies of the IPAM data.
+ *
+ * This function is called from the anomalies page. The findings of each check
+ * will be listed in a separate table, linking the objects involved to their
+ * lookup pages.
+ */
+export function list_anomalies()
+{
+  const link = ([type, title]) => Page.toResourceUrl(
+    IPAM_BASE_URL + Anomalies.links[type], title);
+
+  Anomalies.find().then(findings => {
+    const checks = Object.entries(findings)
+      .filter(([, items]) => items.length > 0);
+    if (checks.length == 0)
+    {
+      Page.show('consistent');
+      return;
+    }
+
+    checks.forEach(([check, items]) => Page.addTableRows('anomaly-' + check,
+      items.map(finding => ({
+        object:  finding.object[1],
+        related: finding.related
+          .map(obj => Page.createLink(link(obj), obj[1]).outerHTML)
+          .join('<br/>'),
+        details: finding.details,
+        link:    link(finding.object),
+      }))));
+  });
+}
+
+/**
+ * List the changes between two snapshots of the API data.
+ *
+ * This function is called from the changes page. The snapshots to be compared
+ * are taken from the URL. By default, the current data will be compared with
+ * the snapshot of the previous API update.
+ */
+export function list_changes()
+{
+  const params = new URLSearchParams(window.location.search);
+  const form = document.getElementById('changes');
+
+  Promise.all([History.fetchSnapshots(), IPAM.getLastUpdate()])
+    .then(([snapshots, update]) => {
+      if (snapshots.length == 0)
+      {
+        Page.error('No snapshots of the API data available.', false);
+        return;
+      }
+
+      /* Fill both selects with all snapshots available. The current data may
+       * have a snapshot already, which would be identical. Therefore, the
+       * latest snapshot other than this one will be selected by default. */
+      [form.from, form.to].forEach(select => {
+        snapshots.forEach(id => select.add(new Option(History.toDate(id), id)));
+        select.add(new Option('Current data', ''));
+      });
+
+      const current = update ? History.toId(update) : null;
+      const from = params.get('from')
+        ?? snapshots.filter(id => id != current).at(-1)
+        ?? snapshots[0];
+      const to = params.get('to') ?? '';
+      if (![from, to].every(id => (id == '') || snapshots.includes(id)))
+      {
+        Page.error('The selected snapshot is not available.', false);
+        return;
+      }
+      form.from.value = from;
+      form.to.value   = to;
+
+      return History.compare(from || null, to || null).then(changes => {
+        const files = Object.keys(changes)
+          .filter(file => changes[file].length > 0);
+        if (files.length == 0)
+          Page.error('No changes found between the selected snapshots.',
+                     false);
+
+        files.forEach(file => Page.addTableRows('changes-' + file,
+          changes[file].map(change => changeToRow(file, change))));
+      });
+    })
+    .catch(e => Page.error('Failed to load the snapshots: ' + e.message,
+                           false));
 }
 
 /**
@@ -160,6 +918,17 @@ export function list_blocks()
   IPAM.fetchBlockAll().then(data => Page.addTableRows('block', data));
 }
 
+/**
+ * Browse the address plan as a tree.
+ *
+ * This function renders the hierarchy of all IP blocks, subnets, ranges and IPs
+ * as a tree, which can be expanded node by node.
+ */
+export function list_tree()
+{
+  new Tree('ipam.tree').load();
+}
+
 /**
  * Perform a new search query.
  *
@@ -168,7 +937,9 @@ export function list_blocks()
  */
 export function search()
 {
-  const q = query.global;
+  /* The query parser may have converted the query into an object (e.g. an IP
+   * or subnet), but it needs to be searched like any other query string. */
+  const q = String(query.global ?? '');
 
   /* Evaluate the query. If the query doesn't match a specific length, it will
    * be rejected and an error displayed instead. */
@@ -179,7 +950,22 @@ export function search()
     return;
   }
 
-  /* Gather all results and print them in the results table. Results won't be
-   * sorted in any kind, they're simply printed in API dataset order. */
-  Search.search(q).then(data => Page.addTableRows('search', data));
+  /* Gather all results and print them grouped by type in the results tables.
+   * Results will be printed ranked by relevance, until sorted by one of the
+   * table's columns. Facets allow narrowing down the results further. */
+  Search.search(q)
+    .then(data => {
+      if (data.length == 0)
+      {
+        Page.error('No results found.', false);
+        return;
+      }
+
+      Object.keys(Search.types).forEach(type =>
+        Page.addTableRows('search-' + type, data.filter(r => r['_'] == type)));
+      Page.addTableRows('search-host', Search.hosts(data));
+      Object.entries(Search.facets(q, data)).forEach(([id, facets]) =>
+        Page.fillFacet(id, facets));
+    })
+    .catch(e => Page.error(e.message, false));
 }
@@ -7,8 +7,10 @@
  * this source code.
  */
 
-import {IPAM}    from './ipam';
-import {Search}  from './search';
+import {Calculator} from './calculator';
+import {IPAM}       from './ipam';
+import {Search}     from './search';
+import {Table}      from './table';
 
 
 /**
@@ -77,6 +79,45 @@ export class Page
     return a;
   }
 
+  /**
+   * Set the target of a link element.
+   *
+   * The link will point to the URL defined in the element's link attribute,
+   * with @p resource passed as query parameter.
+   *
+   *
+   * @param id ID of the link element to be manipulated.
+   * @param resource Resource to be passed as query parameter.
+   */
+  static setLink(id, resource)
+  {
+    const dom = document.getElementById(id);
+    dom.href = this.toResourceUrl(dom.dataset.link, resource);
+  }
+
+  /**
+   * Add a new instance of an HTML template.
+   *
+   * This method clones the contents of a template and appends them to the
+   * template's parent element, so multiple instances keep the order they were
+   * added in. For pages listing an unknown number of objects, this allows cards
+   * to be repeated for each of them. To keep element IDs unique, the
+   * placeholder '%n' in IDs of the template will be replaced by @p suffix.
+   *
+   *
+   * @param id ID of the template to be instantiated.
+   * @param suffix Suffix to be inserted into the IDs of the new instance.
+   */
+  static addTemplate(id, suffix)
+  {
+    const tpl = document.getElementById(id);
+    const dom = tpl.content.cloneNode(true);
+    dom.querySelectorAll('[id]').forEach(e => {
+      e.id = e.id.replace('%n', suffix);
+    });
+    tpl.parentNode.appendChild(dom);
+  }
+
   /**
    * Set the content of a given HTML element.
    *
@@ -134,6 +175,39 @@ export class Page
     this.setContent('title', title);
   }
 
+  /**
+   * Add an item to the breadcrumb.
+   *
+   * The breadcrumb shows the path of objects enclosing the current one. Items
+   * with a @p type will link to the related lookup page, which is defined in
+   * the breadcrumb's link attribute of this type. Items without a type are
+   * considered as the current object.
+   *
+   *
+   * @param text Text of the item, which is used as resource for the link, too.
+   * @param type Optional type of the item, e.g. 'block' or 'subnet'.
+   */
+  static addBreadcrumb(text, type = null)
+  {
+    const dom = document.getElementById('ipam.breadcrumb');
+    const li = document.createElement('li');
+    li.classList.add('breadcrumb-item');
+
+    if (type)
+    {
+      const url = dom.dataset['link' + type[0].toUpperCase() + type.slice(1)];
+      li.appendChild(this.createLink(this.toResourceUrl(url, text), text));
+    }
+    else
+    {
+      li.classList.add('active');
+      li.ariaCurrent = 'page';
+      li.textContent = text;
+    }
+
+    dom.appendChild(li);
+  }
+
   /**
    * Display an error message.
    *
@@ -223,6 +297,206 @@ export class Page
     }
   }
 
+  /**
+   * Fill a list card with data.
+   *
+   * This method adds each of the @p items as a new entry to the list of a
+   * @p card. If @p url is given, entries will link to the related resource.
+   *
+   *
+   * @param card The card to be filled.
+   * @param items Array of items to be listed.
+   * @param url Optional base URL entries should link to.
+   */
+  static fillList(card, items, url = null)
+  {
+    /* Data will be processed only, if there's at least one item. Otherwise
+     * just the spinner will be hidden below, so the placeholder shows up. */
+    if (items.length > 0)
+    {
+      const list = document.getElementById('ipam.' + card + '.list');
+      items.forEach(item => {
+        const li = document.createElement('li');
+        if (url)
+          li.appendChild(
+            this.createLink(this.toResourceUrl(url, item), String(item)));
+        else
+          li.textContent = String(item);
+        list.appendChild(li);
+      });
+
+      this.show('card-' + card + '-list');
+    }
+
+    /* Finally, hide the spinner, as no data is being processed anymore. This
+     * will be done, even if no data could be found, to indicate this status to
+     * the user and doesn't wait indefinitely. */
+    this.hide('card-' + card + '-spinner');
+  }
+
+  /**
+   * Fill a facet list with data.
+   *
+   * This method adds each of the @p facets as a link with its count to a facet
+   * list. Lists without any facets stay hidden.
+   *
+   *
+   * @param id ID of the facet list to be filled.
+   * @param facets Array of facets, each with a name, count and link.
+   */
+  static fillFacet(id, facets)
+  {
+    const list = document.getElementById('ipam.facet.' + id);
+    facets.forEach(facet => {
+      const a = this.createLink(facet.link, facet.name);
+      a.classList.add('list-group-item', 'list-group-item-action', 'd-flex',
+                      'justify-content-between', 'align-items-center');
+
+      const badge = document.createElement('span');
+      badge.classList.add('badge', 'text-bg-secondary', 'rounded-pill');
+      badge.textContent = facet.count.toLocaleString();
+      a.appendChild(badge);
+
+      list.appendChild(a);
+    });
+
+    if (facets.length > 0)
+      this.show('ipam.facets.' + id);
+  }
+
+  /**
+   * Fill a free address card with data.
+   *
+   * This method lists runs of free IPs in a @p card and sets up its button for
+   * getting the next free address, i.e. the first IP of the first run.
+   *
+   *
+   * @param card The card to be filled.
+   * @param runs Array of @ref IpRange objects to be listed.
+   */
+  static fillFree(card, runs)
+  {
+    /* Data will be processed only, if there's at least one free IP. Otherwise
+     * just the spinner will be hidden below, so the placeholder shows up. */
+    if (runs.length > 0)
+    {
+      const list = document.getElementById('ipam.' + card + '.runs');
+      runs.forEach(run => {
+        const size = run.size();
+        const li = document.createElement('li');
+        li.textContent = (size == 1n) ? String(run.first) : String(run);
+
+        const count = document.createElement('span');
+        count.classList.add('text-muted', 'ms-2');
+        count.textContent = '(' + size.toLocaleString() + ')';
+        li.appendChild(count);
+
+        list.appendChild(li);
+      });
+
+      /* Clicking the button reveals the next free address and copies it into
+       * the clipboard, so it can be pasted into other tools directly. */
+      const next = String(runs[0].first);
+      const btn = document.getElementById('ipam.' + card + '.next');
+      btn.onclick = () => {
+        btn.textContent = next;
+        navigator.clipboard?.writeText(next).catch(() => {});
+      };
+
+      this.show('card-' + card + '-free');
+    }
+
+    /* Finally, hide the spinner, as no data is being processed anymore. This
+     * will be done, even if no data could be found, to indicate this status to
+     * the user and doesn't wait indefinitely. */
+    this.hide('card-' + card + '-spinner');
+  }
+
+  /**
+   * Fill a subnet calculator card.
+   *
+   * In addition to the properties of the @p subnet, the card lists the subnets
+   * it can be split into and its supernet. The prefix lengths of both can be
+   * changed by the user, which updates the related list immediately.
+   *
+   *
+   * @param card The card to be filled.
+   * @param subnet The subnet to be calculated, as returned by 'parseCIDR'. If
+   *               null, just the card's placeholder will be shown.
+   */
+  static fillCalculator(card, subnet)
+  {
+    if (subnet)
+    {
+      const details = Calculator.details(subnet);
+      details.broadcast ??= 'None';
+      details.hosts = details.hosts.toLocaleString();
+      for (const key in details)
+        document.getElementById('ipam.' + card + '.' + key).textContent =
+          String(details[key]);
+
+      /* Helper function to replace the entries of a list by links to the given
+       * subnets. If not all subnets are listed, a note will be added. */
+      const list = (name, subnets, count = subnets.length) => {
+        const dom = document.getElementById('ipam.' + card + '.' + name);
+        dom.replaceChildren(...subnets.map(s => {
+          const li = document.createElement('li');
+          li.appendChild(this.createLink(
+            this.toResourceUrl(dom.dataset.link, s), String(s)));
+          return li;
+        }));
+
+        if (count > subnets.length)
+        {
+          const li = document.createElement('li');
+          li.classList.add('text-muted');
+          li.textContent = 'and ' + (BigInt(count) - BigInt(subnets.length))
+            .toLocaleString() + ' more';
+          dom.appendChild(li);
+        }
+      };
+
+      /* Set up the inputs for splitting the subnet and getting its supernet.
+       * Both default to the next prefix length, if available. Invalid prefix
+       * lengths just clear the related list. */
+      const bits = Calculator.bits(subnet);
+      const split = document.getElementById('ipam.' + card + '.split');
+      split.min = subnet[1];
+      split.max = bits;
+      split.value = Math.min(subnet[1] + 1, bits);
+      split.oninput = () => {
+        const prefix = Number(split.value);
+        if (!Number.isInteger(prefix) || prefix < subnet[1] || prefix > bits)
+          return list('subnets', []);
+
+        const result = Calculator.split(subnet, prefix, 256);
+        list('subnets', result.subnets, result.count);
+      };
+
+      const supernet = document.getElementById('ipam.' + card + '.supernet');
+      supernet.min = 0;
+      supernet.max = subnet[1];
+      supernet.value = Math.max(subnet[1] - 1, 0);
+      supernet.oninput = () => {
+        const prefix = Number(supernet.value);
+        if (!Number.isInteger(prefix) || prefix < 0 || prefix > subnet[1])
+          return list('supernets', []);
+
+        list('supernets', [Calculator.supernet(subnet, prefix)]);
+      };
+
+      split.oninput();
+      supernet.oninput();
+      this.show('card-' + card + '-data');
+      this.show('card-' + card + '-split');
+    }
+
+    /* Finally, hide the spinner, as no data is being processed anymore. This
+     * will be done, even if no data could be found, to indicate this status to
+     * the user and doesn't wait indefinitely. */
+    this.hide('card-' + card + '-spinner');
+  }
+
   /**
    * Set the utilization progress graph to a specific value.
    *
@@ -246,6 +520,32 @@ export class Page
     else             dom.classList.add('bg-danger');
   }
 
+  /**
+   * Create a new utilization graph.
+   *
+   * This method creates a little graph (as progress bar) indicating the
+   * utilization of an object, e.g. for table rows.
+   *
+   *
+   * @param p Percentage to be drawn.
+   *
+   * @returns The generated graph element.
+   */
+  static createUtilization(p)
+  {
+    const bar = document.createElement('div');
+    bar.classList.add('progress-bar');
+    bar.ariaValueMin = 0;
+    bar.ariaValueMax = 100;
+    this.setUtilization(bar, p);
+
+    const pgr = document.createElement('div');
+    pgr.classList.add('progress');
+    pgr.style.minWidth = '5vw';
+    pgr.appendChild(bar);
+    return pgr;
+  }
+
   /**
    * Draw a percentage graph.
    *
@@ -283,6 +583,7 @@ export class Page
    * This method provisions data lists (e.g. objects in an IP range) with rows
    * by a predefined structure. Cells and their related data fields can be
    * defined in HTML, so this method simply maps @p data to the existing table.
+   * See @ref Table for sorting and filtering the rows.
    *
    *
    * @param table Id of the table to be filled.
@@ -290,58 +591,83 @@ export class Page
    */
   static addTableRows(table, data)
   {
-    const dom = document.getElementById('ipam.table.' + table);
-
-    /* First, get all existing cells of the table header, which include the
-     * related data field to be filled in this column. As the data structure is
-     * an array, there's a mapping between cell ID and its value. */
-    const fields = Array
-        .from(dom.rows[0].cells)
-        .map(e => e.dataset.field);
-
-    /* Iterate over the data array and add a new row foreach item. Rows will be
-     * filled according to the fields gathered before. */
-    data.forEach(item => {
-      const r = dom.tBodies[0].insertRow(-1);
-      fields.forEach((field, index) => {
-        const c = r.insertCell(index);
-
-        /* If the field describes utilization data, render a little graph
-         * indicating its utilization. */
-        if ((field == 'percentAssigned' || field == 'percentUtilized')
-            && field in item)
-        {
-          const bar = document.createElement('div');
-          bar.classList.add('progress-bar');
-          bar.ariaValueMin = 0;
-          bar.ariaValueMax = 100;
-          this.setUtilization(bar, item[field]);
-
-          const pgr = document.createElement('div');
-          pgr.classList.add('progress');
-          pgr.style.minWidth = '5vw';
-          pgr.appendChild(bar);
-
-          c.appendChild(pgr);
-          c.classList.add('align-middle');
-          return;
-        }
+    Table.get(table).addRows(data);
+  }
 
-        c.innerHTML = item[field] ?? '';
+  /**
+   * Initialize the tabs of a page.
+   *
+   * Clicking a tab shows its content and hides the contents of all other tabs.
+   * The selected tab will be kept in the URL's fragment, so a specific tab can
+   * be linked directly.
+   *
+   *
+   * @param callbacks Object with functions by tab name, that will be called
+   *                  when the related tab is shown for the first time. This
+   *                  allows loading expensive contents lazily.
+   */
+  static initTabs(callbacks = {})
+  {
+    const nav = document.getElementById('ipam.tabs');
+    if (!nav)
+      return;
+
+    const buttons = Array.from(nav.querySelectorAll('[data-tab]'));
+    const loaded = new Set();
+    const select = name => {
+      buttons.forEach(btn => {
+        const active = (btn.dataset.tab == name);
+        btn.classList.toggle('active', active);
+        document.getElementById('ipam.tab.' + btn.dataset.tab)
+          .classList.toggle('d-none', !active);
       });
 
-      /* As each row of the table should link to the related resource, an URL
-       * will be generated and its onclick event will be set for redirecting. */
-      let lnk = item['link'] ?? this.toResourceUrl(
-        dom.dataset.link,
-        item[dom.dataset.linkField]);
-      r.onclick = function() { document.location = lnk; }
-    });
+      if (!loaded.has(name))
+      {
+        loaded.add(name);
+        callbacks[name]?.();
+      }
+    };
+
+    buttons.forEach(btn => btn.addEventListener('click', () => {
+      select(btn.dataset.tab);
+      window.history.replaceState(null, '', '#' + btn.dataset.tab);
+    }));
+
+    const hash = window.location.hash.slice(1);
+    select(buttons.some(btn => btn.dataset.tab == hash)
+             ? hash : buttons[0].dataset.tab);
+  }
 
-    /* Some tables may be hidden for a better look and feel. Therefore, ff data
-     * is added to the table, the whole div will be shown anyway. */
-    if (data.length > 0)
-      this.show('ipam.list.' + table);
+  /**
+   * Download generated content as a file.
+   *
+   *
+   * @param filename The name of the file to be downloaded.
+   * @param type The MIME type of the file.
+   * @param content The content of the file.
+   */
+  static download(filename, type, content)
+  {
+    const url = URL.createObjectURL(new Blob([content], {type}));
+    const a = this.createLink(url, '');
+    a.download = filename;
+    a.click();
+
+    /* The object URL can't be revoked immediately, as the browser may not have
+     * started the download yet. */
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Remove all rows of a data table.
+   *
+   *
+   * @param table Id of the table to be cleared.
+   */
+  static clearTable(table)
+  {
+    Table.get(table).clear();
   }
 }
 
@@ -0,0 +1,245 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import { IpRange } from './range';
+
+
+/**
+ * Partial IP address class.
+ *
+ * This class implements a representation of incomplete IP addresses, which can
+ * be used for searching all IPs starting with a specific prefix (e.g.
+ * `10.20.3.` or `2001:db8:12::`) or matching a pattern with wildcard parts
+ * (e.g. `10.20.*.5`).
+ *
+ * Each IPv4 octet or IPv6 group is either a fixed value or a wildcard. Parts
+ * missing at the end of the address will be handled like wildcards.
+ */
+export class PartialIp
+{
+  /**
+   * Constructor.
+   *
+   *
+   * @param kind The kind of IP, either 'ipv4' or 'ipv6'.
+   * @param parts Array of all octets or groups of the IP. Wildcards are null.
+   * @param str Partial IP address string.
+   */
+  constructor(kind, parts, str)
+  {
+    this.kind  = kind;
+    this.parts = parts;
+    this.str   = str;
+    this.bits  = (kind == 'ipv4') ? 8 : 16;
+  }
+
+  /**
+   * Parse a partial IP address string.
+   *
+   * Partial IPv4 addresses need to either end with a dot or have a wildcard
+   * octet, as e.g. `10.20` is a valid IP already. The same applies to IPv6
+   * addresses, which need to end with a colon or have a wildcard group. In
+   * contrast to regular IPv6 addresses, a trailing `::` isn't expanded to zero
+   * groups, but to wildcards.
+   *
+   *
+   * @param str The string to be parsed.
+   *
+   * @returns Array of the IP's kind and parts, or null if @p str isn't a valid
+   *          partial IP address.
+   */
+  static parse(str)
+  {
+    const part = (max, base) => (p => {
+      if (p == '*')
+        return null;
+      const n = parseInt(p, base);
+      return (n <= max) ? n : NaN;
+    });
+
+    let kind, parts;
+    if (/^(?:(?:\d{1,3}|\*)\.){1,3}(?:\d{1,3}|\*)?$/.test(str))
+    {
+      if (!str.endsWith('.') && !str.includes('*'))
+        return null;
+
+      kind  = 'ipv4';
+      parts = str.replace(/\.$/, '').split('.').map(part(255, 10));
+    }
+    else if (/^[0-9a-f:*]+$/i.test(str) && str.includes(':'))
+    {
+      if (!str.endsWith(':') && !str.includes('*'))
+        return null;
+
+      /* If the address has a '::', it will be split into the groups before and
+       * after it. These will be filled with zero groups in between, unless the
+       * '::' is at the end of the address. */
+      const [head, tail, ...rest] = str.split('::');
+      if (rest.length > 0)
+        return null;
+
+      const split = s => s ? s.split(':') : [];
+      const groups = split(head.replace(/:$/, ''));
+      if (tail)
+      {
+        const zeros = 8 - groups.length - split(tail).length;
+        if (zeros < 1)
+          return null;
+        groups.push(...Array(zeros).fill('0'), ...split(tail));
+      }
+
+      if (!groups.every(g => /^(?:[0-9a-f]{1,4}|\*)$/i.test(g)))
+        return null;
+
+      kind  = 'ipv6';
+      parts = groups.map(part(0xffff, 16));
+    }
+    else
+      return null;
+
+    /* Missing parts will be filled with wildcards. However, at least one part
+     * needs to be fixed, as otherwise the address would match anything. */
+    const count = (kind == 'ipv4') ? 4 : 8;
+    if ((parts.length > count) || parts.some(Number.isNaN)
+        || parts.every(p => p === null))
+      return null;
+    parts.push(...Array(count - parts.length).fill(null));
+
+    return [kind, parts];
+  }
+
+  /**
+   * Check if a string is a valid partial IP address.
+   *
+   *
+   * @param str The string to be checked.
+   *
+   * @returns True, if string is a valid partial IP address, otherwise false.
+   */
+  static isValid(str)
+  {
+    return this.parse(str) !== null;
+  }
+
+  /**
+   * Convert a partial IP address string into a partial IP address object.
+   *
+   *
+   * @param str The string to be parsed.
+   *
+   * @returns The converted partial IP address object.
+   */
+  static process(str)
+  {
+    return new this(...this.parse(str), str.toLowerCase());
+  }
+
+  /**
+   * Get the prefix of the partial IP address.
+   *
+   * The prefix consists of all fixed parts before the first wildcard. All IPs
+   * matching the partial IP address are inside this prefix.
+   *
+   *
+   * @returns The prefix in the format returned by 'parseCIDR'.
+   */
+  prefix()
+  {
+    let len = this.parts.findIndex(p => p === null);
+    len = (len < 0) ? this.parts.length : len;
+
+    const n = this.parts
+      .map((p, i) => BigInt((i < len) ? p : 0))
+      .reduce((n, p) => (n << BigInt(this.bits)) | p, 0n);
+    return [IpRange.fromNumber(n, this.kind), len * this.bits];
+  }
+
+  /**
+   * Get the first IP matching the partial IP address not less than a number.
+   *
+   * The IP will be searched part by part: Fixed parts below their value will be
+   * raised to it. If a fixed part is above its value, the previous wildcard
+   * part needs to be incremented instead.
+   *
+   *
+   * @param n The IP to start searching at as 'BigInt' (see
+   *          @ref IpRange.toNumber).
+   *
+   * @returns The matching IP as 'BigInt' or null, if there's no such IP.
+   */
+  next(n)
+  {
+    const bits = BigInt(this.bits);
+    const max  = (1 << this.bits) - 1;
+    const v = this.parts.map((_, i) => Number(
+      (n >> (BigInt(this.parts.length - i - 1) * bits)) & BigInt(max)));
+
+    /* Helper function to reset all parts after position 'i' to their lowest
+     * matching value and convert the result back into a number. */
+    const reset = i => {
+      for (let j = i + 1; j < v.length; j++)
+        v[j] = this.parts[j] ?? 0;
+      return v.reduce((n, p) => (n << bits) | BigInt(p), 0n);
+    };
+
+    for (let i = 0; i < v.length; i++)
+    {
+      const p = this.parts[i];
+      if ((p === null) || (v[i] == p))
+        continue;
+      if (v[i] < p)
+      {
+        v[i] = p;
+        return reset(i);
+      }
+
+      let j = i - 1;
+      while ((j >= 0) && ((this.parts[j] !== null) || (v[j] == max)))
+        j--;
+      if (j < 0)
+        return null;
+      v[j]++;
+      return reset(j);
+    }
+    return n;
+  }
+
+  /**
+   * Check if an IP range falls under the partial IP address.
+   *
+   *
+   * @param range The IP range to be checked. Single IPs need to be passed as
+   *              IP range with equal first and last IP.
+   *
+   * @returns True, if @p range is inside the prefix of the partial IP address
+   *          (see @ref prefix) and contains at least one matching IP,
+   *          otherwise false.
+   */
+  match(range)
+  {
+    this.scope ??= IpRange.fromSubnet(this.prefix());
+    if (!range || (range.first.kind() != this.kind)
+        || !this.scope.contains(range))
+      return false;
+
+    const n = this.next(IpRange.toNumber(range.first));
+    return (n !== null) && (n <= IpRange.toNumber(range.last));
+  }
+
+  /**
+   * Convert partial IP address to string.
+   *
+   *
+   * @returns String representation of the partial IP address.
+   */
+  toString()
+  {
+    return this.str;
+  }
+}
@@ -72,13 +72,17 @@ export class Query
   static parse(q)
   {
     /* Trim string to remove any whitespace, that may be pasted in the search
-     * form by accident, e.g. when copying the string from another tool. */
-    q = q.trim();
+     * form by accident, e.g. when copying the string from another tool. Other
+     * notations of addresses will be converted into the ones parsed below. */
+    q = this.normalize(q.trim());
 
     /* The query can have these types of data: IP, IP Range, IP subnet, MAC
      * address or string. As the complex datatypes will be represented by
      * objects, first check these and convert the query into them, if validation
-     * did pass. */
+     * did pass.
+     *
+     * NOTE: Partial IPs aren't parsed, as they're meaningful for searches only
+     *       (see @ref Search.handleSearchForm and @ref Search.compile). */
 
     if (ipaddr.isValid(q))
       return ipaddr.process(q);
@@ -99,6 +103,273 @@ export class Query
     return q;
   }
 
+  /**
+   * Extract all IPs, MAC addresses and hostnames of a text.
+   *
+   * The text may either list one item per line, or be any free text containing
+   * the items (e.g. a firewall log). As almost any word of a free text could be
+   * a hostname, only fully qualified hostnames will be extracted from lines
+   * with more than one word.
+   *
+   *
+   * @param text The text to be processed.
+   *
+   * @returns Array of the extracted items in order of their first occurrence.
+   *          IPs and MAC addresses will be converted into objects, hostnames
+   *          are plain strings. Duplicates will be removed.
+   */
+  static extract(text)
+  {
+    const hostname = new RegExp('^(?=.*[a-z])[a-z0-9](?:[a-z0-9-]*[a-z0-9])?' +
+                                '(?:\\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*$',
+                                'i');
+
+    const items = new Map();
+    text.split(/\r?\n/).forEach(line => {
+      /* Split the line into words. Separators commonly used in logs will be
+       * removed, as well as punctuation at the end of a word. Addresses like
+       * `2001:db8::` end with punctuation themselves, so they'll be kept. */
+      const words = line
+        .split(/[\s,;|"'<>(){}=]+/)
+        .map(w => ipaddr.isValid(w) ? w : w.replace(/[.:]$/, ''))
+        .filter(w => w);
+
+      words.forEach(word => {
+        /* Only strict notations of IPs will be accepted, as e.g. numbers would
+         * be valid IPv4 addresses otherwise. */
+        const w = this.normalize(word);
+        let item = null;
+        if (ipaddr.IPv4.isValidFourPartDecimal(w) || ipaddr.IPv6.isValid(w)
+            || MacAddress.isValid(w))
+          item = this.parse(w);
+        else if (hostname.test(w) && ((words.length == 1) || w.includes('.')))
+          item = w.toLowerCase();
+
+        if (item !== null && !items.has(String(item)))
+          items.set(String(item), item);
+      });
+    });
+
+    return Array.from(items.values());
+  }
+
+  /**
+   * Normalize the notation of an address.
+   *
+   * Addresses may be pasted in various notations, depending on the tool they've
+   * been copied from. This method converts the following notations into plain
+   * IPs, IP ranges and CIDR subnets:
+   *
+   *  - IPs with port or in brackets, e.g. `10.0.0.1:22` or `[2001:db8::1]:443`.
+   *  - Reverse DNS names, e.g. `4.3.2.1.in-addr.arpa` or `1.0.0.2.ip6.arpa`.
+   *    Names of reverse zones will be converted into the related subnet.
+   *  - Subnets with netmask, e.g. `10.0.0.0/255.255.255.0` or
+   *    `10.0.0.0 255.255.255.0`.
+   *  - Subnets with Cisco wildcard mask, e.g. `10.0.0.0 0.0.0.255`, as well as
+   *    `host 10.0.0.1`.
+   *  - Short IP ranges, e.g. `10.0.0.10-50`, and ranges with spaces, e.g.
+   *    `10.0.0.10 - 10.0.0.50`.
+   *
+   *
+   * @param q The query string to be normalized.
+   *
+   * @returns The normalized query string. If @p q isn't in one of the
+   *          notations above, it will be returned unmodified.
+   */
+  static normalize(q)
+  {
+    let m;
+
+    /* Strip brackets and ports from IPs. For IPv6, a port may only be given if
+     * the IP is enclosed in brackets, as it can't be distinguished from the
+     * last group of the IP otherwise. */
+    if ((m = q.match(/^\[([0-9a-f:.]+)\](?::\d+)?$/i))
+        || (m = q.match(/^(\d+\.\d+\.\d+\.\d+):\d+$/)))
+      return m[1];
+
+    /* Reverse DNS names list the octets (IPv4) or nibbles (IPv6) of an IP in
+     * reverse order. Incomplete names describe a reverse zone, i.e. a subnet
+     * with the given parts as prefix. */
+    if ((m = q.match(/^((?:\d{1,3}\.){1,4})in-addr\.arpa\.?$/i)))
+    {
+      const octets = m[1].split('.').slice(0, -1).reverse();
+      const len = octets.length * 8;
+      octets.push(...Array(4 - octets.length).fill('0'));
+      return octets.join('.') + ((len < 32) ? ('/' + len) : '');
+    }
+    if ((m = q.match(/^((?:[0-9a-f]\.){1,32})ip6\.arpa\.?$/i)))
+    {
+      const nibbles = m[1].split('.').slice(0, -1).reverse();
+      const len = nibbles.length * 4;
+      nibbles.push(...Array(32 - nibbles.length).fill('0'));
+      const ip = nibbles.join('').match(/.{4}/g).join(':');
+      return ipaddr.parse(ip).toString() + ((len < 128) ? ('/' + len) : '');
+    }
+
+    /* Subnets may be given with netmask instead of prefix length. Masks given
+     * separated by a space may be Cisco wildcard masks, too, which are the
+     * inverse of a netmask. */
+    if ((m = q.match(/^(\S+)(?:\/|\s+)(\d+\.\d+\.\d+\.\d+)$/))
+        && ipaddr.IPv4.isValidFourPartDecimal(m[1])
+        && ipaddr.IPv4.isValidFourPartDecimal(m[2]))
+    {
+      const mask = ipaddr.IPv4.parse(m[2]);
+      const wildcard = ipaddr.fromByteArray(
+        mask.toByteArray().map(b => ~b & 255));
+
+      let len = mask.prefixLengthFromSubnetMask();
+      if (((len === null) || (m[2] == '0.0.0.0')) && !q.includes('/'))
+        len = wildcard.prefixLengthFromSubnetMask();
+      if (len !== null)
+        return m[1] + '/' + len;
+    }
+    if ((m = q.match(/^host\s+(\S+)$/i)) && ipaddr.isValid(m[1]))
+      return m[1];
+
+    /* In short IP ranges, the last IP consists of its last parts only, while
+     * the leading parts are the same as the ones of the first IP. */
+    if ((m = q.match(/^(\S+)\s*-\s*(\S+)$/))
+        && (ipaddr.IPv4.isValidFourPartDecimal(m[1])
+            || ipaddr.IPv6.isValid(m[1])))
+    {
+      const first = ipaddr.parse(m[1]);
+      if ((first.kind() == 'ipv4') && /^\d{1,3}(?:\.\d{1,3}){0,2}$/.test(m[2]))
+      {
+        const last = m[2].split('.');
+        return m[1] + '-' + first.octets
+          .slice(0, 4 - last.length)
+          .concat(last)
+          .join('.');
+      }
+      if ((first.kind() == 'ipv6') && /^[0-9a-f]{1,4}$/i.test(m[2]))
+        return m[1] + '-' + first.parts
+          .slice(0, 7)
+          .map(p => p.toString(16))
+          .concat(m[2])
+          .join(':');
+      if (ipaddr.isValid(m[2]))
+        return m[1] + '-' + m[2];
+    }
+
+    return q;
+  }
+
+  /**
+   * Parse a search expression.
+   *
+   * This method parses a free text search query into a syntax tree, that can be
+   * evaluated for each object to be searched. The following syntax is
+   * supported:
+   *
+   *  - `berlin` or `"jane doe"` match a word or phrase in the default fields.
+   *    Terms will be matched literally, except for the wildcards `*` and `?`.
+   *  - `/srv\d+/` matches a regular expression instead.
+   *  - Partial IPs like `10.20.3.` or `10.20.*.5` additionally match all IPs,
+   *    IP ranges and subnets falling under them (see @ref PartialIp).
+   *  - `site:berlin` or `owner:"jane doe"` match a specific field only.
+   *  - `is:subnet` matches objects of a specific type.
+   *  - `AND`, `OR` and `NOT` combine terms, with terms separated by whitespace
+   *    only being combined by `AND`. Parentheses can be used for grouping.
+   *
+   * Each node of the tree has an `op` attribute, which is either 'and', 'or',
+   * 'not' or 'term'. Terms have a `field` (or null for the default fields), a
+   * `value` and a `regex` attribute, the latter indicating whether the value is
+   * a regular expression. Other nodes have an `args` array of child nodes.
+   *
+   *
+   * @param q The query string to be parsed.
+   * @param fields Array of field names accepted as qualifier. Other prefixes
+   *               will be kept as part of the term, so e.g. IPv6 addresses
+   *               don't need to be quoted.
+   *
+   * @returns The root node of the syntax tree.
+   *
+   * @throws Error if the query has a syntax error.
+   */
+  static parseSearch(q, fields)
+  {
+    /* First, split the query into tokens. Parentheses and operators are
+     * separate tokens, while all other words, phrases and regular expressions
+     * will be converted into terms directly. Parentheses inside of a word
+     * (e.g. `srv(01`) will be kept as part of the word. */
+    const tokens = [];
+    const expr = new RegExp('\\s*(?:([()])|(?:([a-z]+):)?' +
+                            '(?:"([^"]*)"?|/((?:[^/\\\\]|\\\\.)+)/|' +
+                            '([^\\s()"](?:[^\\s()"]|\\([^\\s()"]*\\)?)*)))',
+                            'iy');
+    for (let m; (expr.lastIndex < q.length) && (m = expr.exec(q));)
+    {
+      const [, paren, field, phrase, regex, word] = m;
+      const value = phrase ?? regex ?? word;
+      if (paren)
+        tokens.push(paren);
+      else if (!field && ['AND', 'OR', 'NOT'].includes(word))
+        tokens.push(word);
+      else if (field && (field.toLowerCase() == 'is'
+                         || fields.includes(field.toLowerCase())))
+        tokens.push({op: 'term', field: field.toLowerCase(), value,
+                     regex: regex !== undefined});
+      else if (field || value)
+        tokens.push({op: 'term', field: null,
+                     value: (field ? (field + ':') : '') + value,
+                     regex: !field && (regex !== undefined)});
+    }
+
+    /* Next, build the syntax tree by a simple recursive descent parser. NOT
+     * binds strongest, followed by AND and OR, which is common for search
+     * engines. */
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+
+    const parseOr = () => {
+      const args = [parseAnd()];
+      while (peek() == 'OR')
+      {
+        next();
+        args.push(parseAnd());
+      }
+      return (args.length > 1) ? {op: 'or', args} : args[0];
+    };
+    const parseAnd = () => {
+      const args = [parseNot()];
+      while ((peek() !== undefined) && (peek() != ')') && (peek() != 'OR'))
+      {
+        if (peek() == 'AND')
+          next();
+        args.push(parseNot());
+      }
+      return (args.length > 1) ? {op: 'and', args} : args[0];
+    };
+    const parseNot = () => {
+      if (peek() != 'NOT')
+        return parsePrimary();
+
+      next();
+      return {op: 'not', args: [parseNot()]};
+    };
+    const parsePrimary = () => {
+      const token = next();
+      if (token == '(')
+      {
+        const node = parseOr();
+        if (next() != ')')
+          throw new Error('Missing closing parenthesis in search query.');
+        return node;
+      }
+      if (token === undefined)
+        throw new Error('Unexpected end of search query.');
+      if (typeof token != 'object')
+        throw new Error('Unexpected ' + token + ' in search query.');
+      return token;
+    };
+
+    const root = parseOr();
+    if (pos < tokens.length)
+      throw new Error('Unexpected ' + tokens[pos] + ' in search query.');
+    return root;
+  }
+
   /**
    * Check whether a query is an IP or not.
    *
@@ -60,6 +60,64 @@ export class IpRange
     return new this(ipaddr.process(ips[0]), ipaddr.process(ips[1]));
   }
 
+  /**
+   * Convert an IP range of a subnet into a valid IP range object.
+   *
+   * The generated IP range spans the entire subnet from its network address up
+   * to its broadcast address, regardless of the host bits set in @p subnet.
+   *
+   *
+   * @param subnet The subnet to be converted, as returned by 'parseCIDR'.
+   *
+   * @returns The converted IP range object.
+   */
+  static fromSubnet(subnet)
+  {
+    const ip   = this.toNumber(subnet[0]);
+    const host = BigInt(subnet[0].toByteArray().length * 8 - subnet[1]);
+    const first = (ip >> host) << host;
+    const last  = first | ((1n << host) - 1n);
+    return new this(this.fromNumber(first, subnet[0].kind()),
+                    this.fromNumber(last,  subnet[0].kind()));
+  }
+
+  /**
+   * Convert an IP into a number.
+   *
+   * For calculations on IPs, e.g. getting the distance between two of them, the
+   * IP will be converted into a single number. As IPv6 addresses exceed the
+   * range of regular numbers, 'BigInt' will be used for all IP versions.
+   *
+   *
+   * @param ip The IP to be converted.
+   *
+   * @returns The IP as 'BigInt'.
+   */
+  static toNumber(ip)
+  {
+    return ip.toByteArray().reduce((n, byte) => (n << 8n) | BigInt(byte), 0n);
+  }
+
+  /**
+   * Convert a number into an IP.
+   *
+   * This method is the counterpart of @ref toNumber and converts a number back
+   * into an IP object of the given @p kind.
+   *
+   *
+   * @param n The number to be converted.
+   * @param kind The kind of IP to be generated, either 'ipv4' or 'ipv6'.
+   *
+   * @returns The converted IP object.
+   */
+  static fromNumber(n, kind)
+  {
+    const bytes = new Array((kind == 'ipv4') ? 4 : 16);
+    for (let i = bytes.length - 1; i >= 0; i--, n >>= 8n)
+      bytes[i] = Number(n & 0xffn);
+    return ipaddr.fromByteArray(bytes);
+  }
+
   /**
    * Compare an @p ip to be in the IP range.
    *
@@ -106,6 +164,18 @@ export class IpRange
     return this.first + ' - ' + this.last;
   }
 
+  /**
+   * Get the number of IPs in the IP range.
+   *
+   *
+   * @returns The number of IPs as 'BigInt'.
+   */
+  size()
+  {
+    return (this.constructor.toNumber(this.last)
+            - this.constructor.toNumber(this.first) + 1n);
+  }
+
   /**
    * Compare two IP ranges.
    *
@@ -123,6 +193,22 @@ export class IpRange
       );
   }
 
+  /**
+   * Check if another IP range is part of this IP range.
+   *
+   *
+   * @param other The IP range to be checked.
+   *
+   * @returns True, if @p other is entirely inside this IP range, otherwise
+   *          false.
+   */
+  contains(other)
+  {
+    return ((this.first.kind() == other.first.kind())
+            && this.match(other.first)
+            && this.match(other.last));
+  }
+
   /**
    * Check if an IP matches the IP range.
    *
@@ -0,0 +1,220 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import { Calculator } from './calculator';
+import { IpRange } from './range';
+
+
+/**
+ * Reverse DNS class.
+ *
+ * This class generates BIND-style reverse zone files with the PTR records of
+ * IPs and their names. Reverse zones can be delegated on label boundaries only,
+ * i.e. octets for `in-addr.arpa` and nibbles for `ip6.arpa`. Therefore, the
+ * zones of a prefix will be split on these boundaries.
+ *
+ * @note All methods are static, as they're just a collection of functions
+ *       without any state maintained within the class.
+ */
+export class ReverseDns
+{
+  /**
+   * Default values of zone files.
+   *
+   * The SOA timers follow the recommendations of RIPE-203.
+   */
+  static defaults = {
+    nameserver: 'localhost',
+    hostmaster: 'hostmaster.localhost',
+    domain:     '',
+    ttl:        3600,
+    refresh:    86400,
+    retry:      7200,
+    expire:     3600000,
+    minimum:    3600,
+  };
+
+  /**
+   * Get the zones of a prefix.
+   *
+   * Prefixes will be split into zones of the next label boundary. Prefixes
+   * smaller than a label (e.g. an IPv4 /26) are part of a single zone. As PTR
+   * records need at least one label, the longest zones are IPv4 /24 and IPv6
+   * /124 prefixes.
+   *
+   *
+   * @param subnet The prefix, as returned by 'parseCIDR'.
+   *
+   * @returns Array of zones in the format returned by 'parseCIDR'.
+   */
+  static zones(subnet)
+  {
+    const step = (subnet[0].kind() == 'ipv4') ? 8 : 4;
+    const len  = Math.min(Math.ceil(subnet[1] / step) * step,
+                          Calculator.bits(subnet) - step);
+
+    return (len < subnet[1])
+      ? [Calculator.supernet(subnet, len)]
+      : Calculator.split(subnet, len, 2 ** (step - 1)).subnets;
+  }
+
+  /**
+   * Get the labels of an IP in reverse order.
+   *
+   *
+   * @param ip The IP to be converted.
+   *
+   * @returns Array of labels, i.e. octets for IPv4 and nibbles for IPv6, with
+   *          the least significant label first.
+   */
+  static labels(ip)
+  {
+    const bytes = ip.toByteArray();
+    return ((ip.kind() == 'ipv4')
+      ? bytes.map(String)
+      : bytes.flatMap(b => [b >> 4, b & 0xf]).map(n => n.toString(16)))
+      .reverse();
+  }
+
+  /**
+   * Get the domain name of a zone.
+   *
+   *
+   * @param zone The zone, as returned by @ref zones.
+   *
+   * @returns The domain name of the zone without trailing dot.
+   */
+  static zoneName(zone)
+  {
+    const [step, suffix] = (zone[0].kind() == 'ipv4')
+      ? [8, 'in-addr.arpa']
+      : [4, 'ip6.arpa'];
+    const labels = this.labels(zone[0]);
+    return labels
+      .slice(labels.length - zone[1] / step)
+      .concat(suffix)
+      .join('.');
+  }
+
+  /**
+   * Check if a name is a valid hostname.
+   *
+   * Hostnames consist of labels of letters, digits and hyphens, which neither
+   * start nor end with a hyphen (RFC 1123).
+   *
+   *
+   * @param name The name to be checked, optionally with trailing dot.
+   *
+   * @returns True, if @p name is a valid hostname, otherwise false.
+   */
+  static isHostname(name)
+  {
+    const labels = String(name).replace(/\.$/, '').split('.');
+    return (String(name).length <= 254)
+      && labels.every(l => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i.test(l));
+  }
+
+  /**
+   * Get the serial of a zone.
+   *
+   *
+   * @param date The date of the zone's data.
+   *
+   * @returns The serial as Unix timestamp of @p date in seconds, so serials
+   *          increase with each update, even for multiple updates per hour.
+   *          It fits into the 32 bit serial of zones until the year 2106.
+   */
+  static serial(date)
+  {
+    return String(Math.floor(date.getTime() / 1000));
+  }
+
+  /**
+   * Generate a zone file.
+   *
+   * IPs without a name won't get a PTR record. Invalid names and names without
+   * domain (if no default domain is given) will be skipped with a warning, as
+   * PTR records need fully qualified hostnames.
+   *
+   *
+   * @param zone The zone to be generated, as returned by @ref zones.
+   * @param subnet The prefix, whose IPs will be added to the zone. Other IPs of
+   *               the zone will be ignored.
+   * @param items Array of IP address objects.
+   * @param options Object with the 'serial' of the zone and optionally any of
+   *                the @ref defaults.
+   *
+   * @returns Object with the 'content' of the zone file and the 'warnings'
+   *          for the records skipped.
+   */
+  static generate(zone, subnet, items, options)
+  {
+    const opts  = {...this.defaults, ...options};
+    const fqdn  = name => String(name).replace(/\.?$/, '.');
+    const range = IpRange.fromSubnet(subnet);
+    const zoneRange = IpRange.fromSubnet(zone);
+    const contains  = ip => (ip.kind() == zone[0].kind())
+      && range.match(ip) && zoneRange.match(ip);
+
+    const lines = [
+      `; Reverse zone for ${String(zone)}, generated by IPAM Web.`,
+      ...((subnet[1] > zone[1])
+        ? [`; NOTE: Contains the records of ${String(subnet)} only.`]
+        : []),
+      `$ORIGIN ${this.zoneName(zone)}.`,
+      `$TTL ${opts.ttl}`,
+      `@\tIN\tSOA\t${fqdn(opts.nameserver)} `
+        + `${fqdn(opts.hostmaster.replace('@', '.'))} (`,
+      `\t\t${opts.serial}\t; serial`,
+      `\t\t${opts.refresh}\t\t; refresh`,
+      `\t\t${opts.retry}\t\t; retry`,
+      `\t\t${opts.expire}\t\t; expire`,
+      `\t\t${opts.minimum} )\t\t; minimum`,
+      `@\tIN\tNS\t${fqdn(opts.nameserver)}`,
+      '',
+    ];
+
+    /* Records will be sorted by IP. Their owner name is relative to the zone,
+     * i.e. it consists of the labels not being part of the zone's name. */
+    const step = (zone[0].kind() == 'ipv4') ? 8 : 4;
+    const warnings = [];
+    items
+      .filter(item => item.name && ipaddr.isValid(item.ip))
+      .map(item => [ipaddr.process(item.ip), item])
+      .filter(([ip]) => contains(ip))
+      .map(([ip, item]) => [IpRange.toNumber(ip), ip, item])
+      .sort(([a], [b]) => (a > b) - (a < b))
+      .forEach(([, ip, item]) => {
+        const name = String(item.name).trim();
+        let warning = null;
+        if (!this.isHostname(name))
+          warning = `Invalid hostname '${name}'.`;
+        else if (!name.replace(/\.$/, '').includes('.') && !opts.domain)
+          warning = `Hostname '${name}' is not fully qualified.`;
+
+        if (warning)
+        {
+          warnings.push({ip: String(ip), message: warning});
+          lines.push(`; ${ip}: ${warning}`);
+          return;
+        }
+
+        const target = name.replace(/\.$/, '').includes('.')
+          ? fqdn(name) : fqdn(name + '.' + opts.domain.replace(/\.$/, ''));
+        const labels = this.labels(ip);
+        const owner = labels
+          .slice(0, labels.length - zone[1] / step)
+          .join('.');
+        lines.push(`${owner}\tIN\tPTR\t${target}`);
+      });
+
+    return {content: lines.join('\n') + '\n', warnings};
+  }
+}
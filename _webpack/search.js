@@ -7,10 +7,15 @@
  * this source code.
  */
 
-import {IPAM}    from './ipam';
-import {IpRange} from './range';
-import {Page}    from './page';
-import {Query}   from './query';
+import ipaddr from 'ipaddr.js';
+import {Host}       from './host';
+import {IPAM}       from './ipam';
+import {IpRange}    from './range';
+import {MacAddress} from './mac';
+import {Page}       from './page';
+import {PartialIp}  from './partial';
+import {Query}      from './query';
+import {Typeahead}  from './typeahead';
 
 
 /**
@@ -21,6 +26,86 @@ import {Query}   from './query';
  */
 export class Search
 {
+  /**
+   * Fields to be searched.
+   *
+   * Terms without a qualifier will be searched in the default fields only,
+   * while qualified terms (e.g. `vlan:120`) may address any of the fields.
+   */
+  static fields = [
+    'ip', 'range', 'network', 'name', 'mac', 'type', 'asset', 'serial', 'site',
+    'vlan', 'gateway', 'managed', 'rir', 'scope', 'owner', 'description',
+  ];
+  static defaultFields = [
+    'name', 'mac', 'type', 'asset', 'serial', 'site', 'scope', 'owner',
+    'description',
+  ];
+
+  /**
+   * Fields holding the address of an object.
+   *
+   * Terms being a partial IP (see @ref PartialIp) will be matched against the
+   * address of objects in these fields, in addition to the default fields.
+   */
+  static addressFields = ['ip', 'range', 'network'];
+
+  /**
+   * Weights of the searchable fields.
+   *
+   * Matches in fields identifying an object (e.g. its name) are more relevant
+   * than ones in descriptive fields, so results will be ranked accordingly.
+   */
+  static weights = {
+    'ip':      5, 'range':  5, 'network': 5, 'name':  5,
+    'mac':     4, 'asset':  4, 'serial':  4,
+    'type':    3, 'vlan':   3, 'gateway': 3,
+    'site':    2, 'scope':  2, 'owner':   2, 'rir':   2, 'managed': 2,
+    'description': 1,
+  };
+
+  /**
+   * Ranks of the different kinds of matches.
+   *
+   * The kind of match is more important for the relevance of a result than the
+   * weight of the matching field. Therefore, ranks are multiples of the highest
+   * field weight.
+   */
+  static ranks = {
+    'exact':     40,
+    'prefix':    30,
+    'substring': 20,
+    'fuzzy':     10,
+  };
+
+  /**
+   * Types of objects to be searched.
+   *
+   * For each type, its title, the field identifying an object and the lookup
+   * page of its objects will be defined here.
+   */
+  static types = {
+    'ip': {
+      'title': 'IP',
+      'index': 'ip',
+      'link':  '/lookup/ip.html',
+      },
+    'range': {
+      'title': 'IP range',
+      'index': 'range',
+      'link':  '/lookup/range.html',
+      },
+    'subnet': {
+      'title': 'Subnet',
+      'index': 'network',
+      'link':  '/lookup/subnet.html',
+      },
+    'block': {
+      'title': 'Block',
+      'index': 'network',
+      'link':  '/lookup/block.html',
+      },
+  };
+
   /**
    * Get the URL for a specific resource queried.
    *
@@ -40,6 +125,8 @@ export class Search
       return '/lookup/range.html';
     if (Query.isSubnet(q))
       return '/lookup/subnet.html';
+    if (q instanceof MacAddress)
+      return '/lookup/mac.html';
 
     /* In any other case, no redirect to a specific lookup page is possible and
      * the generic search result page will be used instead. */
@@ -62,9 +149,12 @@ export class Search
     event.preventDefault();
 
     /* Get the form data, process the query and redirect the user to a page
-     * representing the query at best (i.e. the lookup pages). */
+     * representing the query at best (i.e. the lookup pages). Partial IPs will
+     * always be searched for the addresses falling under them. They need to
+     * be checked first, as IPv6 prefixes like `2001:db8::` are valid IPs. */
     const data = new FormData(event.target);
-    const query = Query.parse(data.get('query'));
+    const input = data.get('query').trim();
+    const query = PartialIp.isValid(input) ? input : Query.parse(input);
     window.location = Page.toResourceUrl(
       IPAM_BASE_URL + this.getResourceTypeUrl(query),
       encodeURIComponent(query));
@@ -73,6 +163,9 @@ export class Search
   /**
    * Add static metadata for search datasets.
    *
+   * @note As API objects are shared across the entire page, the metadata will
+   *       be added to a copy of the dataset.
+   *
    *
    * @param type The datatype to be applied on the dataset.
    *
@@ -80,10 +173,7 @@ export class Search
    */
   static toSearchData(type)
   {
-    return (data) => {
-      data['_'] = type;
-      return data;
-    };
+    return (data) => ({...data, '_': type});
   }
 
   /**
@@ -99,68 +189,376 @@ export class Search
    */
   static toSearchResult(data)
   {
-    const typeMap = {
-      'ip': {
-        'title': 'IP',
-        'index': 'ip',
-        'link':  '/lookup/ip.html',
-        },
-      'range': {
-        'title': 'IP range',
-        'index': 'range',
-        'link':  '/lookup/range.html',
-        },
-      'subnet': {
-        'title': 'Subnet',
-        'index': 'network',
-        'link':  '/lookup/subnet.html',
-        },
-      'block': {
-        'title': 'Block',
-        'index': 'network',
-        'link':  '/lookup/block.html',
-        },
-    };
-
-    /* Map the search result according to the mapping defined above. Attributes
-     * will be processed, if necessary. */
-    const type = typeMap[data['_']]
+    /* Map the search result according to the types defined above. Attributes
+     * will be processed, if necessary. Attributes used for facets and ranking
+     * will be kept as they are. */
+    const type = Search.types[data['_']]
     const name = data[type.index]
     return {
-      'type': type.title,
-      'name': name,
-      'link': Page.toResourceUrl(IPAM_BASE_URL + type.link, name),
-      'data': data['res'].join('<br/>'),
+      '_':     data['_'],
+      'type':  type.title,
+      'name':  name,
+      'link':  Page.toResourceUrl(IPAM_BASE_URL + type.link, name),
+      'data':  data['res'].join('<br/>'),
+      'site':  data.site,
+      'scope': data.scope,
+      'score': data['score'],
+      'host':  data['host'],
+    }
+  }
+
+  /**
+   * Get the hosts of search results.
+   *
+   * Hosts aren't objects of the API, but IPs matching by their name are
+   * assigned to the host of this name. Therefore, each of these hosts will be
+   * returned as additional search result linking to its host page.
+   *
+   *
+   * @param results The search results as returned by @ref search.
+   *
+   * @returns Array of search results for hosts, listing their IPs as data.
+   */
+  static hosts(results)
+  {
+    /* Hostnames will be grouped case-insensitively. The first result of a host
+     * has the highest score, as results are sorted by their relevance. */
+    const hosts = new Map();
+    results
+      .filter(r => r['host'])
+      .forEach(r => {
+        const key = Host.normalize(r['host']);
+        if (!hosts.has(key))
+          hosts.set(key, {
+            '_':     'host',
+            'type':  'Host',
+            'name':  r['host'],
+            'link':  Page.toResourceUrl(IPAM_BASE_URL + '/lookup/host.html',
+                                        encodeURIComponent(r['host'])),
+            'ips':   [],
+            'score': r['score'],
+          });
+        hosts.get(key)['ips'].push(r['name']);
+      });
+
+    return Array.from(hosts.values(), ({ips, ...host}) => ({
+      ...host,
+      'data': ips.join('<br/>'),
+    }));
+  }
+
+  /**
+   * Escape a string for literal use in a regular expression.
+   *
+   *
+   * @param str The string to be escaped.
+   *
+   * @returns The escaped string.
+   */
+  static escape(str)
+  {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Compile the terms of a search expression.
+   *
+   * This method converts the value of each term into a regular expression to
+   * be matched. Values will be matched literally, except for shell-style
+   * wildcards: `*` matches any number of characters and `?` a single one.
+   * Only terms explicitly marked as regular expression will be used as they
+   * are. Terms being a partial IP will be converted into a @ref PartialIp in
+   * addition.
+   *
+   *
+   * @param node The syntax tree of the expression (see @ref Query.parseSearch).
+   *
+   * @throws Error if a regular expression is invalid.
+   */
+  static compile(node)
+  {
+    if (node.op != 'term')
+    {
+      node.args.forEach(n => this.compile(n));
+      return;
+    }
+
+    const source = node.regex
+      ? node.value
+      : node.value
+          .split(/([*?])/)
+          .map(p => (p == '*') ? '.*' : ((p == '?') ? '.' : this.escape(p)))
+          .join('');
+    if (!node.regex && PartialIp.isValid(node.value))
+      node.partial = PartialIp.process(node.value);
+
+    try {
+      node.expr  = new RegExp(source, 'i');
+      node.exact = new RegExp('^(?:' + source + ')$', 'i');
+    } catch (e) {
+      throw new Error('Invalid regular expression /' + node.value + '/: ' +
+                      e.message.replace(/^.*: /, '') + '.');
+    }
+  }
+
+  /**
+   * Get the edit distance of two strings.
+   *
+   * This method calculates the number of characters to be inserted, deleted,
+   * substituted or transposed to get from @p a to @p b (i.e. the optimal
+   * string alignment distance).
+   *
+   *
+   * @param a First string.
+   * @param b Second string.
+   *
+   * @returns The edit distance.
+   */
+  static distance(a, b)
+  {
+    let prev2 = null;
+    let prev = Array.from({length: b.length + 1}, (_, j) => j);
+    for (let i = 1; i <= a.length; i++)
+    {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++)
+      {
+        const cost = (a[i - 1] == b[j - 1]) ? 0 : 1;
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && (a[i - 1] == b[j - 2]) && (a[i - 2] == b[j - 1]))
+          row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      }
+      [prev2, prev] = [prev, row];
+    }
+    return prev[b.length];
+  }
+
+  /**
+   * Find a word similar to a term in a value.
+   *
+   * This method allows finding values with typos in either the term or the
+   * value. Only terms consisting of a single plain word of at least four
+   * characters will be checked, as shorter ones would match almost anything.
+   *
+   *
+   * @param term The term to be searched for.
+   * @param value The value to be checked.
+   *
+   * @returns The first similar word of @p value, or undefined if there's none.
+   */
+  static fuzzy(term, value)
+  {
+    const t = term.toLowerCase();
+    if ((t.length < 4) || !/^[\p{L}\p{N}]+$/u.test(t))
+      return undefined;
+
+    /* Longer terms may have more typos. Words differing in length by more than
+     * the allowed distance can be skipped without calculating the distance. */
+    const max = (t.length < 8) ? 1 : 2;
+    return value
+      .split(/[^\p{L}\p{N}]+/u)
+      .find(w => (Math.abs(w.length - t.length) <= max)
+                 && (this.distance(w.toLowerCase(), t) <= max));
+  }
+
+  /**
+   * Check whether a term matches a value.
+   *
+   * Terms match any part of the value. However, qualified terms need to match
+   * numeric values (e.g. VLAN IDs) exactly, as `vlan:12` shouldn't match VLAN
+   * 120. If a term doesn't match at all, words similar to the term will be
+   * matched instead (see @ref fuzzy). Partial IPs match addresses falling under
+   * them. Values of list fields match, if any of their elements matches.
+   *
+   * @note The term needs to be compiled by @ref compile before.
+   *
+   *
+   * @param term The term node to be checked.
+   * @param field The field of the value.
+   * @param value The value to be checked.
+   *
+   * @returns The match or null, if @p term doesn't match @p value. The match
+   *          consists of its kind (see @ref ranks) and the pattern to be
+   *          highlighted.
+   */
+  static matchTerm(term, field, value)
+  {
+    if (value === undefined || value === null || value === '')
+      return null;
+    if (Array.isArray(value))
+      return value
+        .map(v => this.matchTerm(term, field, v))
+        .filter(m => m)
+        .sort((a, b) => this.ranks[b.kind] - this.ranks[a.kind])[0] ?? null;
+    if (term.partial && this.addressFields.includes(field))
+      return term.partial.match(this.toRange(field, value))
+        ? {kind: 'prefix', pattern: null}
+        : null;
+    if (term.field && ((typeof value == 'number') || /^\d+$/.test(value)))
+      return term.exact.test(String(value))
+        ? {kind: 'exact', pattern: null}
+        : null;
+
+    /* Check where the term matches in the value. Matches covering the entire
+     * value or its beginning are more relevant than matches somewhere in
+     * between. As API values are sanitized, the original text will be matched,
+     * so terms neither match parts of HTML entities, nor miss escaped
+     * characters. */
+    const val = IPAM.unescapeHtml(String(value));
+    const m = val.match(term.expr);
+    if (m)
+      return {
+        kind: (m.index > 0) ? 'substring'
+          : ((m[0].length == val.length) ? 'exact' : 'prefix'),
+        pattern: term.expr.source,
+      };
+
+    const word = !term.regex && this.fuzzy(term.value, val);
+    return word ? {kind: 'fuzzy', pattern: this.escape(word)} : null;
+  }
+
+  /**
+   * Get the IP range of an address field.
+   *
+   *
+   * @param field The address field of the value.
+   * @param value The value to be converted.
+   *
+   * @returns The @ref IpRange of the address, or null if it's invalid.
+   */
+  static toRange(field, value)
+  {
+    try {
+      if (field == 'range')
+        return value;
+      if (field == 'network')
+        return IpRange.fromSubnet(ipaddr.parseCIDR(value));
+
+      const ip = ipaddr.process(value);
+      return new IpRange(ip, ip);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Evaluate a search expression for an object.
+   *
+   *
+   * @param node The syntax tree of the expression (see @ref Query.parseSearch).
+   * @param data The object to be checked.
+   * @param marks Object, which will be filled with the matches of each field
+   *              (see @ref matchTerm).
+   *
+   * @returns True, if @p data matches the expression, otherwise false.
+   */
+  static evaluate(node, data, marks)
+  {
+    switch (node.op)
+    {
+      /* All arguments will be evaluated, even if the result is known already.
+       * This ensures all matching terms will be highlighted. */
+      case 'and':
+        return node.args
+          .map(n => this.evaluate(n, data, marks))
+          .every(r => r);
+      case 'or':
+        return node.args
+          .map(n => this.evaluate(n, data, marks))
+          .some(r => r);
+
+      /* Terms in negated expressions can't match in matching objects, so
+       * there's nothing to be highlighted for them. */
+      case 'not':
+        return !this.evaluate(node.args[0], data, {});
+
+      default:
+        if (node.field == 'is')
+          return data['_'] == node.value.toLowerCase();
+
+        const fields = node.field ? [node.field]
+          : (node.partial ? this.addressFields : []).concat(this.defaultFields);
+
+        let found = false;
+        fields.forEach(field => {
+          const m = this.matchTerm(node, field, data[field]);
+          if (m)
+          {
+            (marks[field] ??= []).push(m);
+            found = true;
+          }
+        });
+        return found;
     }
   }
 
+  /**
+   * Highlight the matching terms of an object.
+   *
+   *
+   * @param data The object to be highlighted.
+   * @param marks The matches of each field, as collected by @ref evaluate.
+   *
+   * @returns Array of highlighted field values.
+   */
+  static highlight(data, marks)
+  {
+    return this.fields
+      .filter(field => field in marks)
+      .map(field => {
+        const mark = m => m
+          ? ('<span class="bg-warning text-dark">' + m + '</span>')
+          : m;
+
+        /* Numeric values and addresses match entirely, so there's no need to
+         * search for the matching parts. For all other values, all terms will
+         * be combined, so the value needs to be processed only once. Like for
+         * matching, the original text will be highlighted and escaped part by
+         * part afterwards, so highlighting can't break up HTML entities. */
+        const val = IPAM.unescapeHtml(String(data[field]));
+        if (marks[field].some(m => m.pattern === null))
+          return mark(IPAM.escapeHtml(val));
+
+        const expr = new RegExp(marks[field]
+          .map(m => '(?:' + m.pattern + ')')
+          .join('|'), 'gi');
+        let html = '';
+        let last = 0;
+        for (const m of val.matchAll(expr))
+        {
+          html += IPAM.escapeHtml(val.slice(last, m.index))
+            + mark(IPAM.escapeHtml(m[0]));
+          last = m.index + m[0].length;
+        }
+        return html + IPAM.escapeHtml(val.slice(last));
+      });
+  }
+
   /**
    * Perform a new search query.
    *
    * This method searches all API data sources for a given search @p query. The
    * results will be returned in a specific data format just for printing the
-   * search results.
+   * search results, ranked by their relevance (see @ref ranks and
+   * @ref weights).
    *
    *
-   * @param query The query string to be searched.
+   * @param query The query string to be searched (see
+   *              @ref Query.parseSearch for its syntax).
    *
    * @returns Promise to fetch the data.
    */
   static search(query)
   {
-    /* Helper function for matching the a specific value to input query. Resides
-     * in this method to have access for query parameter without explicitly
-     * passing it. */
-    function match(v)
-    {
-      if (v)
-      {
-        const expr = new RegExp(query, 'i');
-        const val = String(v);
-        return val.match(expr) ?
-          val.replace(expr, '<span class="bg-warning text-dark">$&</span>')
-          : null;
-      }
+    /* Parse the query first. Syntax errors and invalid regular expressions will
+     * be passed to the caller like any other error, by rejecting the returned
+     * promise. */
+    let root;
+    try {
+      root = Query.parseSearch(query, this.fields);
+      this.compile(root);
+    } catch (e) {
+      return Promise.reject(e);
     }
 
     return Promise
@@ -175,34 +573,97 @@ export class Search
       ])
       .then(response => response.flat())
 
-      /* Filter the data for items with attributes matching the query. If an
-       * attribute matches the query, it will be returned in the dataset to be
-       * printed later. */
-      .then(response => response.map((data) => {
-          data['res'] = [
-            match(data.name),
-            match(data.mac),
-            match(data.type),
-            match(data.asset),
-            match(data.serial),
-            match(data.site),
-            match(data.scope),
-            match(data.owner),
-            match(data.description),
-          ].filter(x => x);
-          return data;
+      /* Filter the data for items matching the query. The attributes matching
+       * any of its terms will be returned in the dataset to be printed
+       * later. */
+      .then(response => response.filter(data => {
+          const marks = {};
+          if (!this.evaluate(root, data, marks))
+            return false;
+
+          /* The score of a result is the one of its best match. Results
+           * matching by their type only get the lowest score. */
+          data['res']   = this.highlight(data, marks);
+          data['host']  = ((data['_'] == 'ip') && ('name' in marks))
+            ? data.name : null;
+          data['score'] = Math.max(0, ...Object
+            .entries(marks)
+            .flatMap(([field, m]) => m.map(({kind}) =>
+              this.ranks[kind] + (this.weights[field] ?? 1))));
+          return true;
+        }))
+
+      /* Sort the results by their score. IPs with equal score will be sorted
+       * by address, while all other results keep their API dataset order, as
+       * sorting is stable. */
+      .then(response => response.sort((a, b) => {
+          if (a['score'] != b['score'])
+            return b['score'] - a['score'];
+          if ((a['_'] != 'ip') || (b['_'] != 'ip'))
+            return (a['_'] == 'ip') ? -1 : ((b['_'] == 'ip') ? 1 : 0);
+          return IPAM.cmpIp(ipaddr.process(a.ip), ipaddr.process(b.ip));
         }))
-      .then(response => response.filter((data) => data.res.length > 0))
 
       /* Parse all matching results to be printed as search results. Therefore
        * most attributes will be dropped and specific parts highlighted. */
       .then(response => response.map(this.toSearchResult));
   }
+
+  /**
+   * Get the facets of search results.
+   *
+   * This method counts the search results per type, site and scope. Each facet
+   * links to the search query narrowed to the facet's value.
+   *
+   *
+   * @param query The query string searched.
+   * @param results The search results as returned by @ref search.
+   *
+   * @returns Object with an array of facets for type, site and scope. Each
+   *          facet has a name, count and link. Facets are sorted by their
+   *          count in descending order.
+   */
+  static facets(query, results)
+  {
+    const facet = (field, name, term) => {
+      const counts = new Map();
+      results
+        .filter(r => r[field])
+        .forEach(r => counts.set(r[field], (counts.get(r[field]) ?? 0) + 1));
+
+      return Array
+        .from(counts, ([value, count]) => ({
+          name:  name(value),
+          count: count,
+          link:  Page.toResourceUrl(
+            IPAM_BASE_URL + '/search.html',
+            encodeURIComponent('(' + query + ') ' + term(value))),
+        }))
+        .sort((a, b) => b.count - a.count);
+    };
+
+    /* The query will be grouped, so the facet applies to all of its terms
+     * (e.g. for queries using OR). Values of sites and scopes will be quoted,
+     * as they may contain spaces or characters with special meaning in search
+     * queries. As values are sanitized, the original text is used, with
+     * quotes being matched by a wildcard, as they can't be quoted. */
+    const quote = v => '"' + IPAM.unescapeHtml(String(v)).replace(/"/g, '?')
+      + '"';
+    return {
+      'type':  facet('_', t => this.types[t].title, t => 'is:' + t),
+      'site':  facet('site',  v => v, v => 'site:' + quote(v)),
+      'scope': facet('scope', v => v, v => 'scope:' + quote(v)),
+    };
+  }
 }
 
 
 /* If available at the current page, initialize the search form by attaching the
- * handler to its onSubmit event. */
+ * handler to its onSubmit event. In addition, suggestions will be shown while
+ * typing. */
 const form = document.getElementById('search');
 if (form)
+{
   form.addEventListener('submit', e => Search.handleSearchForm(e));
+  new Typeahead(form);
+}
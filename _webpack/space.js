@@ -0,0 +1,221 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import { IpRange } from './range';
+
+
+/**
+ * Address space class.
+ *
+ * This class calculates the unused parts of an address space (e.g. an IP range
+ * or subnet), based on the objects already allocated inside of it.
+ *
+ * @note All methods are static, as they're just a collection of calculations
+ *       without any state maintained within the class.
+ */
+export class AddressSpace
+{
+  /**
+   * Get the reserved IPs of a subnet.
+   *
+   * The network and broadcast addresses of IPv4 subnets can't be assigned to
+   * hosts. For IPv6, there's no broadcast address, but the network address is
+   * reserved as subnet-router anycast address. Point-to-point subnets (i.e. /31
+   * and /127) and single hosts don't have any reserved addresses.
+   *
+   *
+   * @param subnet The subnet to be checked, as returned by 'parseCIDR'.
+   *
+   * @returns Array of reserved IPs.
+   */
+  static reserved(subnet)
+  {
+    const range = IpRange.fromSubnet(subnet);
+    const bits = subnet[0].toByteArray().length * 8;
+    if (subnet[1] >= bits - 1)
+      return [];
+
+    return (subnet[0].kind() == 'ipv4')
+      ? [range.first, range.last]
+      : [range.first];
+  }
+
+  /**
+   * Get the free parts of an IP range.
+   *
+   * This method takes an IP @p range and removes all @p used objects from it.
+   * The remaining IPs will be returned as compact runs of consecutive IPs.
+   *
+   *
+   * @param range The IP range to be checked.
+   * @param used Array of IPs or IP ranges already in use. Objects of another
+   *             IP version or outside of @p range will be ignored.
+   *
+   * @returns Array of @ref IpRange objects, sorted by their first IP.
+   */
+  static free(range, used)
+  {
+    const kind  = range.first.kind();
+    const first = IpRange.toNumber(range.first);
+    const last  = IpRange.toNumber(range.last);
+
+    /* Convert all used objects into number intervals, as these can be compared
+     * and calculated easily. Intervals not touching the range will be skipped
+     * and the remaining ones sorted by their start. */
+    const blocked = used
+      .map(i => (i instanceof IpRange) ? i : new IpRange(i, i))
+      .filter(i => i.first.kind() == kind)
+      .map(i => [IpRange.toNumber(i.first), IpRange.toNumber(i.last)])
+      .filter(([a, b]) => (b >= first) && (a <= last))
+      .sort(([a], [b]) => (a < b) ? -1 : ((a > b) ? 1 : 0));
+
+    /* Walk through the blocked intervals and collect the gaps in between. The
+     * 'next' pointer will always point to the next IP not blocked yet. */
+    const result = [];
+    const add = (a, b) => result.push(new IpRange(
+      IpRange.fromNumber(a, kind),
+      IpRange.fromNumber(b, kind)));
+
+    let next = first;
+    for (const [a, b] of blocked)
+    {
+      if (a > next)
+        add(next, a - 1n);
+      if (b >= next)
+        next = b + 1n;
+    }
+    if (next <= last)
+      add(next, last);
+
+    return result;
+  }
+
+  /**
+   * Split an IP range into CIDR prefixes.
+   *
+   * As IP ranges can start and end at any IP, they can't be described by a
+   * single prefix in general. This method calculates the smallest set of
+   * aligned prefixes covering exactly the given IP @p range.
+   *
+   *
+   * @param range The IP range to be split.
+   *
+   * @returns Array of subnets in the format returned by 'parseCIDR', sorted by
+   *          their network address.
+   */
+  static toPrefixes(range)
+  {
+    const kind  = range.first.kind();
+    const bits  = BigInt(range.first.toByteArray().length * 8);
+    const last  = IpRange.toNumber(range.last);
+    let   first = IpRange.toNumber(range.first);
+
+    /* Starting at the first IP, get the largest prefix, that is aligned to the
+     * current IP and doesn't exceed the range. The search continues after this
+     * prefix, until the entire range is covered. */
+    const result = [];
+    while (first <= last)
+    {
+      let host = 0n;
+      while ((host < bits)
+             && ((first & ((1n << (host + 1n)) - 1n)) == 0n)
+             && ((first + (1n << (host + 1n)) - 1n) <= last))
+        host++;
+
+      result.push(ipaddr.parseCIDR(
+        IpRange.fromNumber(first, kind) + '/' + (bits - host)));
+      first += 1n << host;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the prefix length required for a number of hosts.
+   *
+   * This method calculates the longest prefix, that is able to hold @p hosts
+   * hosts in addition to the reserved addresses of a subnet (see
+   * @ref reserved).
+   *
+   *
+   * @param hosts The number of hosts required.
+   * @param kind The kind of IP used, either 'ipv4' or 'ipv6'.
+   *
+   * @returns The prefix length.
+   */
+  static prefixForHosts(hosts, kind)
+  {
+    const bits = (kind == 'ipv4') ? 32 : 128;
+    const required = BigInt(hosts) + ((kind == 'ipv4') ? 2n : 1n);
+
+    let host = 0;
+    while ((host < bits) && ((1n << BigInt(host)) < required))
+      host++;
+    return bits - host;
+  }
+
+  /**
+   * Plan new subnets in an IP range.
+   *
+   * This method suggests up to @p count new subnets of a given @p prefix length
+   * in @p range, that don't overlap any of the @p used objects. All subnets
+   * will be aligned to their prefix length.
+   *
+   * By default, the first free subnets will be suggested (first fit). If
+   * @p bestFit is set, the smallest free prefixes able to hold the subnets will
+   * be used first instead. This keeps larger free prefixes available for later
+   * allocations and therefore limits fragmentation of the address space.
+   *
+   *
+   * @param range The IP range to be planned in, e.g. an IP block.
+   * @param used Array of IPs or IP ranges already in use.
+   * @param prefix The prefix length of the subnets to be planned.
+   * @param count The number of subnets to be suggested.
+   * @param bestFit Whether to use best fit instead of first fit placement.
+   *
+   * @returns Array of subnets in the format returned by 'parseCIDR'.
+   */
+  static plan(range, used, prefix, count, bestFit = false)
+  {
+    const kind = range.first.kind();
+    const bits = BigInt(range.first.toByteArray().length * 8);
+    const want = bits - BigInt(prefix);
+
+    /* Free space will be split into aligned prefixes, as each of them can hold
+     * subnets of the requested size without further alignment checks, if their
+     * size is at least the requested one. */
+    const blocks = this.free(range, used)
+      .flatMap(i => this.toPrefixes(i))
+      .map(([ip, len]) => [IpRange.toNumber(ip), bits - BigInt(len)])
+      .filter(([, host]) => host >= want);
+
+    /* For best fit, the smallest prefixes will be used first. As sorting is
+     * stable, prefixes of the same size keep their order by address. */
+    if (bestFit)
+      blocks.sort(([, a], [, b]) => (a < b) ? -1 : ((a > b) ? 1 : 0));
+
+    /* Fill the free prefixes with as many subnets as required. Subnets will be
+     * placed consecutively in each prefix, before continuing with the next. */
+    const result = [];
+    for (const [start, host] of blocks)
+    {
+      const end = start + (1n << host);
+      for (let ip = start; (ip < end) && (result.length < count);
+           ip += (1n << want))
+        result.push(ipaddr.parseCIDR(
+          IpRange.fromNumber(ip, kind) + '/' + prefix));
+
+      if (result.length >= count)
+        break;
+    }
+
+    return result;
+  }
+}
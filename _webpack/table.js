@@ -0,0 +1,559 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import {IPAM}    from './ipam';
+import {IpRange} from './range';
+import {Page}    from './page';
+
+
+/**
+ * Table class.
+ *
+ * This class manages the contents of a data table (e.g. objects in an IP
+ * range). It keeps all rows added to the table, so they can be sorted by
+ * clicking a column header and narrowed by the table's filter box.
+ *
+ * As large IP ranges and broad searches may result in tens of thousands of
+ * rows, only a single page of rows will be rendered at once. The remaining rows
+ * can be browsed by the table's pager.
+ */
+export class Table
+{
+  /**
+   * Tables of the current page.
+   *
+   * Each table will be managed by a single object only, which is stored here by
+   * the table's ID.
+   */
+  static tables = {};
+
+  /**
+   * Key of the page size chosen by the user.
+   *
+   * If the user changes the page size of a table, it will be stored in the
+   * browser's local storage under this key and applies to all tables with a
+   * page size selector.
+   */
+  static pageSizeKey = 'ipam.pageSize';
+
+  /**
+   * Template element for converting cell contents into text.
+   *
+   * The element will be created once per page only, when the text of a cell
+   * is required for the first time. See @ref toText for details.
+   */
+  static template = null;
+
+  /**
+   * Get the object managing a table.
+   *
+   *
+   * @param id ID of the table (without the 'ipam.table.' prefix).
+   *
+   * @returns The table object.
+   */
+  static get(id)
+  {
+    this.tables[id] ??= new this(id);
+    return this.tables[id];
+  }
+
+  /**
+   * Get the page size picked by the user.
+   *
+   * @note If the browser's local storage is disabled, accessing it throws an
+   *       error. In this case, no page size will be remembered.
+   *
+   *
+   * @returns The stored page size, or null if none is available.
+   */
+  static getStoredPageSize()
+  {
+    try {
+      return localStorage.getItem(this.pageSizeKey);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the page size picked by the user.
+   *
+   *
+   * @param size The page size to be stored.
+   */
+  static setStoredPageSize(size)
+  {
+    try {
+      localStorage.setItem(this.pageSizeKey, size);
+    } catch {}
+  }
+
+  /**
+   * Constructor.
+   *
+   *
+   * @param id ID of the table (without the 'ipam.table.' prefix).
+   */
+  constructor(id)
+  {
+    this.id    = id;
+    this.dom   = document.getElementById('ipam.table.' + id);
+    this.items = [];
+    this.rows  = [];
+    this.order = null;
+    this.query = '';
+    this.page  = 0;
+    this.texts = new WeakMap();
+
+    /* The number of rows per page defaults to the one configured for the table.
+     * A page size of zero disables pagination. */
+    this.pageSize = Number(this.dom.dataset.pageSize ?? 0);
+
+    /* First, get all existing cells of the table header, which include the
+     * related data field to be filled in this column. As the data structure is
+     * an array, there's a mapping between cell ID and its value. Clicking one
+     * of the cells sorts the table by this column. */
+    this.header = Array.from(this.dom.rows[0].cells);
+    this.fields = this.header.map(e => e.dataset.field);
+    this.header.forEach(cell => {
+      cell.style.cursor = 'pointer';
+      cell.onclick = () => this.sortBy(cell.dataset.field);
+    });
+
+    /* If the table has a filter box, rows will be narrowed down to the ones
+     * matching the filter while typing. */
+    const filter = document.getElementById('ipam.filter.' + id);
+    if (filter)
+      filter.addEventListener('input', () => {
+        this.query = filter.value.trim().toLowerCase();
+        this.page  = 0;
+        this.filter();
+        this.render();
+      });
+
+    /* If the table has a page size selector, the page size picked by the user
+     * before will be used instead of the table's default. Changing its value
+     * renders the table with the new page size, starting with its first page.
+     * Tables without selector keep their default, as the user couldn't change
+     * it for them. */
+    const select = document.getElementById('ipam.pagesize.' + id);
+    if (select)
+    {
+      const stored = this.constructor.getStoredPageSize();
+      if (select.querySelector(`option[value="${stored}"]`))
+        this.pageSize = Number(stored);
+
+      if (select.querySelector(`option[value="${this.pageSize}"]`))
+        select.value = this.pageSize;
+      else
+        this.pageSize = Number(select.value);
+
+      select.addEventListener('change', () => {
+        this.pageSize = Number(select.value);
+        this.page     = 0;
+        this.constructor.setStoredPageSize(this.pageSize);
+        this.render();
+      });
+    }
+
+    /* If the table has an export button, clicking it downloads all rows
+     * matching the current filter as CSV file. */
+    const exp = document.getElementById('ipam.export.' + id);
+    if (exp)
+      exp.addEventListener('click', () => Page.download(
+        exp.dataset.filename, 'text/csv', this.toCsv()));
+  }
+
+  /**
+   * Get the sort key of a value.
+   *
+   * Values will be converted into a representation, that can be compared by
+   * @ref compare according to their type: IPs, subnets and IP ranges will be
+   * converted to IP objects, dates and numbers to plain numbers.
+   *
+   *
+   * @param value The value to be converted.
+   *
+   * @returns The sort key, or null for empty values.
+   */
+  static sortKey(value)
+  {
+    if (value === undefined || value === null || value === '')
+      return null;
+    if (value instanceof Date)
+      return value.getTime();
+    if (typeof value == 'number')
+      return value;
+    if (value instanceof IpRange)
+      return [value.first, value.last];
+
+    const str = String(value);
+    if (ipaddr.IPv4.isValidFourPartDecimal(str) || ipaddr.IPv6.isValid(str))
+      return [ipaddr.parse(str)];
+    if (ipaddr.IPv4.isValidCIDRFourPartDecimal(str)
+        || ipaddr.IPv6.isValidCIDR(str))
+      return ipaddr.parseCIDR(str);
+    return str;
+  }
+
+  /**
+   * Compare two sort keys.
+   *
+   * This method compares two keys generated by @ref sortKey. Its intended to be
+   * used by the `sort()` method of @ref Array. Empty values will always be
+   * sorted last.
+   *
+   *
+   * @param a First key.
+   * @param b Second key.
+   *
+   * @returns Integer indicating whether @p a is greater, equal or less than
+   *          @p b.
+   */
+  static compare(a, b)
+  {
+    if (a === null || b === null)
+      return (a === null) - (b === null);
+
+    /* IP-based keys will be compared part by part. The IP objects will be
+     * compared by IP order, while prefix lengths are simple numbers. */
+    if (Array.isArray(a) && Array.isArray(b))
+    {
+      for (let i = 0; i < Math.min(a.length, b.length); i++)
+      {
+        const c = (typeof a[i] == 'number')
+          ? a[i] - b[i]
+          : IPAM.cmpIp(a[i], b[i]);
+        if (c != 0)
+          return c;
+      }
+      return a.length - b.length;
+    }
+
+    if (typeof a == 'number' && typeof b == 'number')
+      return a - b;
+
+    return String(a).localeCompare(String(b), undefined, {numeric: true});
+  }
+
+  /**
+   * Sort the table by a specific field.
+   *
+   * If the table is already sorted by @p field, its order will be reversed.
+   *
+   *
+   * @param field The field to be sorted by.
+   */
+  sortBy(field)
+  {
+    this.order = {
+      field: field,
+      desc:  (this.order?.field == field) && !this.order.desc,
+    };
+
+    /* Indicate the sort order in the header by an arrow in the related column.
+     * Arrows of previous orders will be removed. */
+    this.header.forEach(cell => cell.querySelector('.ipam-sort')?.remove());
+    const icon = document.createElement('i');
+    icon.classList.add('ipam-sort', 'fa-solid', 'ms-1',
+                       this.order.desc ? 'fa-sort-down' : 'fa-sort-up');
+    this.header[this.fields.indexOf(field)].appendChild(icon);
+
+    this.page = 0;
+    this.sort();
+    this.filter();
+    this.render();
+  }
+
+  /**
+   * Sort the rows of the table.
+   *
+   * Rows will be sorted according to the current order. If no order has been
+   * set, rows keep the order they have been added in.
+   */
+  sort()
+  {
+    if (!this.order)
+      return;
+
+    const {field, desc} = this.order;
+    const cmp = this.constructor.compare;
+    this.items = this.items
+      .map(item => [this.constructor.sortKey(item[field]), item])
+      .sort(([a], [b]) => {
+        /* Empty values stay at the end of the table, regardless of the sort
+         * direction. */
+        if (a === null || b === null)
+          return cmp(a, b);
+        return desc ? cmp(b, a) : cmp(a, b);
+      })
+      .map(([, item]) => item);
+  }
+
+  /**
+   * Get the text of a cell's value.
+   *
+   * As cells may contain HTML (e.g. links or escaped API values), the value
+   * will be converted into the text shown to the user. Line breaks will be
+   * replaced by commas.
+   *
+   *
+   * @param value The value to be converted.
+   *
+   * @returns The text of @p value.
+   */
+  static toText(value)
+  {
+    const str = String(value);
+    if (!/[<&]/.test(str))
+      return str;
+
+    /* The value will be converted by a template element, as its content is
+     * inert, i.e. no scripts or images will be loaded. */
+    this.template ??= document.createElement('template');
+    this.template.innerHTML = str.replace(/<br\/?>/g, ', ');
+    return this.template.content.textContent;
+  }
+
+  /**
+   * Check whether an item matches the current filter.
+   *
+   * The filter will be matched against the text of the cells, so neither their
+   * markup nor HTML entities match. The text of each item will be cached, so
+   * it doesn't need to be converted again while typing.
+   *
+   *
+   * @param item The item to be checked.
+   *
+   * @returns True, if any of the table's fields contains the filter query,
+   *          otherwise false.
+   */
+  match(item)
+  {
+    if (!this.texts.has(item))
+      this.texts.set(item, this.fields
+        .map(field => item[field])
+        .filter(value => (value !== undefined) && (value !== null))
+        .map(value => this.constructor.toText(value).toLowerCase()));
+
+    return this.texts.get(item).some(text => text.includes(this.query));
+  }
+
+  /**
+   * Update the rows matching the current filter.
+   *
+   * The matching rows will be cached, so browsing the pages of the table
+   * doesn't require checking all rows again.
+   */
+  filter()
+  {
+    this.rows = this.query
+      ? this.items.filter(item => this.match(item))
+      : this.items;
+  }
+
+  /**
+   * Add rows to the table.
+   *
+   *
+   * @param data Raw API data to be added.
+   */
+  addRows(data)
+  {
+    this.items = this.items.concat(data);
+    this.sort();
+    this.filter();
+    this.render();
+
+    /* Some tables may be hidden for a better look and feel. Therefore, if data
+     * is added to the table, the whole div will be shown anyway. */
+    if (this.items.length > 0)
+      Page.show('ipam.list.' + this.id);
+  }
+
+  /**
+   * Remove all rows from the table.
+   */
+  clear()
+  {
+    this.items = [];
+    this.page  = 0;
+    this.filter();
+    this.render();
+  }
+
+  /**
+   * Convert the rows of the table to CSV.
+   *
+   * All rows matching the current filter will be converted in their current
+   * order, not just the ones of the current page. As cells may contain HTML
+   * (e.g. links), only their text will be exported. Dates will be exported in
+   * ISO-8601 format, so they can be processed by other applications.
+   *
+   *
+   * @returns The CSV data.
+   */
+  toCsv()
+  {
+    const text = value => {
+      if (value === undefined || value === null)
+        return '';
+      if (value instanceof Date)
+        return Number.isNaN(value.getTime())
+          ? '' : value.toISOString().slice(0, 10);
+      return this.constructor.toText(value);
+    };
+    const quote = str => /[",\r\n]/.test(str)
+      ? '"' + str.replace(/"/g, '""') + '"'
+      : str;
+
+    return [
+      this.header.map(cell => cell.textContent.trim()),
+      ...this.rows.map(item => this.fields.map(field => text(item[field]))),
+    ]
+    .map(row => row.map(quote).join(','))
+    .join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Render the rows of the table.
+   *
+   * This method replaces all rows of the table body by the rows of the current
+   * page. In addition, the row count and pager of the table will be updated.
+   */
+  render()
+  {
+    const body = this.dom.tBodies[0];
+    body.replaceChildren();
+
+    /* Get the rows of the current page. If the page is out of range (e.g. after
+     * narrowing the filter), the last available page will be shown. */
+    const size  = this.pageSize || this.rows.length || 1;
+    const pages = Math.max(1, Math.ceil(this.rows.length / size));
+    this.page   = Math.min(this.page, pages - 1);
+
+    /* Iterate over the data array and add a new row foreach item. Rows will be
+     * filled according to the fields gathered before. */
+    this.rows
+      .slice(this.page * size, (this.page + 1) * size)
+      .forEach(item => {
+        const r = body.insertRow(-1);
+        this.fields.forEach((field, index) => {
+          const c = r.insertCell(index);
+
+          /* If the field describes utilization data, render a little graph
+           * indicating its utilization. */
+          if ((field == 'percentAssigned' || field == 'percentUtilized')
+              && field in item)
+          {
+            c.appendChild(Page.createUtilization(item[field]));
+            c.classList.add('align-middle');
+            return;
+          }
+
+          c.innerHTML = item[field] ?? '';
+        });
+
+        /* As each row of the table should link to the related resource, an URL
+         * will be generated and its onclick event will be set for
+         * redirecting. Rows with an empty link won't be linked at all. */
+        let lnk = ('link' in item) ? item['link'] : Page.toResourceUrl(
+          this.dom.dataset.link,
+          item[this.dom.dataset.linkField]);
+        if (lnk)
+          r.onclick = function(e) {
+            /* Links inside of the row's cells take precedence over the link of
+             * the row itself. */
+            if (!e.target.closest('a'))
+              document.location = lnk;
+          }
+      });
+
+    this.renderCount();
+    this.renderPager(pages);
+  }
+
+  /**
+   * Render the row count of the table.
+   *
+   * If the table has been filtered, the total number of rows will be shown in
+   * addition to the number of matching rows.
+   */
+  renderCount()
+  {
+    const dom = document.getElementById('ipam.count.' + this.id);
+    if (!dom)
+      return;
+
+    const count = this.rows.length.toLocaleString();
+    dom.innerText = (this.rows.length == 1) ? '1 row' : (count + ' rows');
+    if (this.rows !== this.items)
+      dom.innerText += ' (of ' + this.items.length.toLocaleString() + ')';
+  }
+
+  /**
+   * Render the pager of the table.
+   *
+   * The pager links the first and last page, as well as a few pages around the
+   * current one. It will be hidden if all rows fit on a single page.
+   *
+   *
+   * @param pages The number of pages available.
+   */
+  renderPager(pages)
+  {
+    const dom = document.getElementById('ipam.pager.' + this.id);
+    if (!dom)
+      return;
+
+    const list = dom.querySelector('ul');
+    list.replaceChildren();
+    if (pages <= 1)
+    {
+      Page.hide(dom.id);
+      return;
+    }
+
+    const add = (label, page, active = false) => {
+      const li = document.createElement('li');
+      li.classList.add('page-item');
+      li.classList.toggle('active', active);
+      li.classList.toggle('disabled', (page === null) || (page < 0)
+                                      || (page >= pages));
+      list.appendChild(li);
+
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.classList.add('page-link');
+      btn.innerHTML = label;
+      btn.onclick = () => {
+        this.page = page;
+        this.render();
+      };
+      li.appendChild(btn);
+    };
+
+    /* Pages far away from the current one will be skipped, as the pager would
+     * become too large otherwise. Gaps are marked by an ellipsis. */
+    add('&laquo;', this.page - 1);
+    for (let i = 0, prev = -1; i < pages; i++)
+      if ((i == 0) || (i == pages - 1) || (Math.abs(i - this.page) <= 2))
+      {
+        if (i - prev > 1)
+          add('&hellip;', null);
+        add(String(i + 1), i, i == this.page);
+        prev = i;
+      }
+    add('&raquo;', this.page + 1);
+
+    Page.show(dom.id);
+  }
+}
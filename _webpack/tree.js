@@ -0,0 +1,299 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import {IPAM}    from './ipam';
+import {IpRange} from './range';
+import {Page}    from './page';
+
+
+/**
+ * Address plan tree class.
+ *
+ * This class renders the hierarchy of IP blocks, subnets, ranges and IPs as a
+ * browsable tree. Child nodes will be fetched lazily when a node is expanded.
+ * The expanded nodes will be kept in the URL, so the current view can be
+ * shared or reloaded.
+ */
+export class Tree
+{
+  /**
+   * Node types.
+   *
+   * For each type of node, its icon and the lookup page it links to will be
+   * defined here.
+   */
+  static types = {
+    'block':  {icon: 'fa-globe',         link: '/lookup/block.html'},
+    'subnet': {icon: 'fa-network-wired', link: '/lookup/subnet.html'},
+    'range':  {icon: 'fa-layer-group',   link: '/lookup/range.html'},
+    'ip':     {icon: 'fa-desktop',       link: '/lookup/ip.html'},
+  };
+
+  /**
+   * Constructor.
+   *
+   *
+   * @param id ID of the element the tree will be rendered in.
+   */
+  constructor(id)
+  {
+    this.dom = document.getElementById(id);
+
+    /* Get the keys of all expanded nodes from the URL. Nodes will be expanded
+     * automatically, when being added to the tree. */
+    const params = new URLSearchParams(window.location.search);
+    this.expanded = new Set(params.getAll('open'));
+  }
+
+  /**
+   * Get the IP range covered by an object.
+   *
+   *
+   * @param type The type of the object.
+   * @param item The object to be checked.
+   *
+   * @returns The @ref IpRange of the object.
+   */
+  static toRange(type, item)
+  {
+    switch (type)
+    {
+      case 'block':
+      case 'subnet':
+        return IpRange.fromSubnet(ipaddr.parseCIDR(item.network));
+      case 'range':
+        return item.range;
+      default:
+        return new IpRange(ipaddr.process(item.ip), ipaddr.process(item.ip));
+    }
+  }
+
+  /**
+   * Get the title of an object.
+   *
+   * The title will be used as label of the node and as resource of its link.
+   *
+   *
+   * @param type The type of the object.
+   * @param item The object to be checked.
+   *
+   * @returns The title.
+   */
+  static title(type, item)
+  {
+    switch (type)
+    {
+      case 'block':
+      case 'subnet':
+        return item.network;
+      case 'range':
+        return String(item.range);
+      default:
+        return item.ip;
+    }
+  }
+
+  /**
+   * Get the top-level objects of a collection.
+   *
+   * This method removes all objects from @p nodes, that are nested in another
+   * one of the collection, i.e. only their direct parent will be kept.
+   *
+   * @note The collection needs to be sorted by address, with enclosing objects
+   *       listed before their children.
+   *
+   *
+   * @param nodes Array of type and object pairs.
+   *
+   * @returns The filtered array.
+   */
+  static topLevel(nodes)
+  {
+    let parent = null;
+    return nodes.filter(([type, item]) => {
+      const range = this.toRange(type, item);
+      if (parent && parent.contains(range))
+        return false;
+
+      parent = range;
+      return true;
+    });
+  }
+
+  /**
+   * Fetch the children of an object.
+   *
+   * Blocks contain nested blocks and subnets, subnets contain nested subnets
+   * and IP ranges, and IP ranges contain IPs. Objects nested in a sibling will
+   * be shown as children of this sibling only.
+   *
+   *
+   * @param type The type of the object.
+   * @param item The object to be checked.
+   *
+   * @returns Promise to fetch the children as array of type and object pairs,
+   *          sorted by address.
+   */
+  static fetchChildren(type, item)
+  {
+    const tag = t => (i => [t, i]);
+
+    switch (type)
+    {
+      case 'block':
+      case 'subnet': {
+        const prefix = ipaddr.parseCIDR(item.network);
+        return Promise.all([
+          (type == 'block')
+            ? IPAM.fetchBlockOfBlock(prefix).then(r => r.map(tag('block')))
+            : [],
+          IPAM.fetchSubnetOfBlock(prefix)
+            .then(r => r.filter(i => (type == 'block') || (i !== item)))
+            .then(r => r.map(tag('subnet'))),
+          (type == 'subnet')
+            ? IPAM.fetchRangeOfSubnet(prefix).then(r => r.map(tag('range')))
+            : [],
+        ])
+        .then(response => this.topLevel(response.flat().sort((a, b) => {
+          const ra = this.toRange(...a);
+          const rb = this.toRange(...b);
+          return IPAM.cmpIp(ra.first, rb.first)
+            || IPAM.cmpIp(rb.last, ra.last);
+        })));
+      }
+
+      case 'range':
+        return IPAM.fetchIpOfRange(item.range)
+          .then(response => response.map(tag('ip')));
+
+      default:
+        return Promise.resolve([]);
+    }
+  }
+
+  /**
+   * Load the tree.
+   *
+   * This method adds the top-level objects of all IP versions as root nodes to
+   * the tree. These are handled like children of a block covering the entire
+   * address space, so subnets outside of any block will be shown, too.
+   */
+  load()
+  {
+    Promise
+      .all(['0.0.0.0/0', '::/0'].map(network =>
+        this.constructor.fetchChildren('block', {network})))
+      .then(response => this.addNodes(this.dom, response.flat()));
+  }
+
+  /**
+   * Update the URL to include all expanded nodes.
+   *
+   * The URL will be replaced instead of adding a new history entry, so using
+   * the back button will leave the tree instead of collapsing nodes.
+   */
+  updateUrl()
+  {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('open');
+    this.expanded.forEach(key => params.append('open', key));
+    window.history.replaceState(null, '', '?' + params);
+  }
+
+  /**
+   * Add nodes to the tree.
+   *
+   *
+   * @param parent The list element the nodes will be added to.
+   * @param nodes Array of type and object pairs to be added.
+   */
+  addNodes(parent, nodes)
+  {
+    nodes.forEach(([type, item]) => {
+      const title = this.constructor.title(type, item);
+      const key = type + ':' + String(title).replace(/ /g, '');
+      const li = document.createElement('li');
+
+      /* The header of each node consists of a toggle button, the icon of the
+       * node's type, a link to its lookup page and a short description. */
+      const row = document.createElement('div');
+      row.classList.add('d-flex', 'align-items-center', 'py-1');
+      li.appendChild(row);
+
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.classList.add('btn', 'btn-sm', 'border-0', 'p-0', 'me-2');
+      btn.innerHTML = '<i class="fa-fw fa-solid fa-caret-right"></i>';
+      if (type == 'ip')
+        btn.classList.add('invisible');
+      row.appendChild(btn);
+
+      const icon = document.createElement('i');
+      icon.classList.add('fa-fw', 'fa-solid', 'me-2',
+                         this.constructor.types[type].icon);
+      row.appendChild(icon);
+
+      row.appendChild(Page.createLink(
+        Page.toResourceUrl(
+          IPAM_BASE_URL + this.constructor.types[type].link,
+          title),
+        title));
+
+      const desc = document.createElement('span');
+      desc.classList.add('text-muted', 'ms-3', 'text-truncate');
+      desc.innerHTML = item.name ?? item.description ?? '';
+      row.appendChild(desc);
+
+      /* Like in tables, a little graph indicates the utilization of the node,
+       * if available. */
+      if ('percentUtilized' in item)
+      {
+        const graph = Page.createUtilization(item.percentUtilized);
+        graph.classList.add('ms-auto', 'flex-shrink-0');
+        row.appendChild(graph);
+      }
+
+      /* Children will be added to a nested list, which will be filled when the
+       * node is expanded for the first time. */
+      const list = document.createElement('ul');
+      list.classList.add('list-unstyled', 'ms-4', 'd-none');
+      li.appendChild(list);
+
+      let loaded = false;
+      const toggle = (open) => {
+        btn.firstChild.classList.toggle('fa-caret-right', !open);
+        btn.firstChild.classList.toggle('fa-caret-down', open);
+        list.classList.toggle('d-none', !open);
+
+        if (open && !loaded)
+        {
+          loaded = true;
+          this.constructor.fetchChildren(type, item)
+            .then(children => this.addNodes(list, children));
+        }
+      };
+      btn.onclick = () => {
+        const open = !this.expanded.has(key);
+        if (open)
+          this.expanded.add(key);
+        else
+          this.expanded.delete(key);
+
+        toggle(open);
+        this.updateUrl();
+      };
+
+      if (this.expanded.has(key))
+        toggle(true);
+
+      parent.appendChild(li);
+    });
+  }
+}
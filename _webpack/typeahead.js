@@ -0,0 +1,238 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import {Page}   from './page';
+import {Search} from './search';
+
+
+/**
+ * Typeahead class.
+ *
+ * This class extends a search form by suggestions shown while typing. After a
+ * few characters have been entered, the best matching objects will be listed
+ * in a dropdown below the search box, so users can jump straight to their
+ * lookup page by mouse or keyboard.
+ */
+export class Typeahead
+{
+  /**
+   * Delay in milliseconds after the last keystroke, before searching.
+   */
+  static delay = 250;
+
+  /**
+   * Minimum query length for showing suggestions.
+   */
+  static minLength = 3;
+
+  /**
+   * Maximum number of suggestions shown.
+   */
+  static limit = 8;
+
+  /**
+   * Constructor.
+   *
+   *
+   * @param form The search form to be extended.
+   */
+  constructor(form)
+  {
+    this.input  = form.elements['query'];
+    this.menu   = document.getElementById('ipam.suggestions');
+    this.active = -1;
+    this.timer  = null;
+    this.seq    = 0;
+
+    this.input.addEventListener('input', () => this.schedule());
+    this.input.addEventListener('keydown', e => this.handleKey(e));
+    this.input.addEventListener('blur', () => this.hide());
+
+    /* Clicking a suggestion would blur the search box and therefore hide the
+     * suggestions before the click is handled. Keeping the focus avoids
+     * this. */
+    this.menu.addEventListener('mousedown', e => e.preventDefault());
+  }
+
+  /**
+   * Schedule searching for suggestions.
+   *
+   * Searching will be delayed until the user stopped typing for a moment, so
+   * the search doesn't run for every single keystroke.
+   */
+  schedule()
+  {
+    clearTimeout(this.timer);
+
+    const q = this.input.value.trim();
+    if (q.length < this.constructor.minLength)
+    {
+      this.seq++;
+      this.hide();
+      return;
+    }
+
+    this.timer = setTimeout(() => this.update(q), this.constructor.delay);
+  }
+
+  /**
+   * Search for suggestions and show them.
+   *
+   * As searches may finish in a different order than being started, results
+   * of outdated searches will be dropped.
+   *
+   *
+   * @param q The query to be searched.
+   */
+  update(q)
+  {
+    const seq = ++this.seq;
+    Search.search(q)
+      .then(results => {
+        if (seq == this.seq)
+          this.show(q, results.slice(0, this.constructor.limit));
+      })
+
+      /* Incomplete queries may have syntax errors while typing (e.g. missing
+       * parentheses). These will be reported when submitting the query, so
+       * suggestions will just be hidden until the query is valid again. */
+      .catch(() => {
+        if (seq == this.seq)
+          this.hide();
+      });
+  }
+
+  /**
+   * Show suggestions.
+   *
+   *
+   * @param q The query searched.
+   * @param results The search results to be suggested.
+   */
+  show(q, results)
+  {
+    this.menu.replaceChildren();
+    this.active = -1;
+
+    /* Each suggestion shows the type and name of the object, followed by the
+     * matching attributes, just like in the search results. */
+    results.forEach(r => {
+      const a = Page.createLink(r.link, '');
+      a.classList.add('dropdown-item', 'd-flex', 'align-items-baseline');
+
+      const badge = document.createElement('span');
+      badge.classList.add('badge', 'text-bg-secondary', 'me-2');
+      badge.textContent = r.type;
+      a.appendChild(badge);
+
+      const name = document.createElement('span');
+      name.classList.add('font-monospace', 'me-2');
+      name.textContent = String(r.name);
+      a.appendChild(name);
+
+      const data = document.createElement('small');
+      data.classList.add('text-muted', 'text-truncate');
+      data.innerHTML = r.data.replace(/<br\/>/g, ', ');
+      a.appendChild(data);
+
+      this.menu.appendChild(a);
+    });
+
+    if (results.length == 0)
+    {
+      const empty = document.createElement('span');
+      empty.classList.add('dropdown-item-text', 'text-muted');
+      empty.textContent = 'No matches found.';
+      this.menu.appendChild(empty);
+    }
+
+    /* Finally, add a link to the full search results, as only the best matches
+     * will be suggested. */
+    const divider = document.createElement('hr');
+    divider.classList.add('dropdown-divider');
+    this.menu.appendChild(divider);
+
+    const all = Page.createLink(
+      Page.toResourceUrl(IPAM_BASE_URL + '/search.html',
+                         encodeURIComponent(q)),
+      'Show all results');
+    all.classList.add('dropdown-item');
+    this.menu.appendChild(all);
+
+    this.menu.classList.add('show');
+    this.input.setAttribute('aria-expanded', 'true');
+  }
+
+  /**
+   * Hide the suggestions.
+   */
+  hide()
+  {
+    clearTimeout(this.timer);
+    this.menu.classList.remove('show');
+    this.input.setAttribute('aria-expanded', 'false');
+    this.active = -1;
+  }
+
+  /**
+   * Select a suggestion.
+   *
+   *
+   * @param index Index of the suggestion to be selected, or -1 for selecting
+   *              none of them.
+   */
+  select(index)
+  {
+    const links = this.menu.querySelectorAll('a.dropdown-item');
+    links.forEach((a, i) => a.classList.toggle('active', i == index));
+    this.active = index;
+  }
+
+  /**
+   * Handle keyboard input in the search box.
+   *
+   * The arrow keys move the selection through the suggestions. Enter jumps to
+   * the selected suggestion instead of submitting the form, while escape hides
+   * the suggestions.
+   *
+   *
+   * @param event The keyboard event to be handled.
+   */
+  handleKey(event)
+  {
+    if (!this.menu.classList.contains('show'))
+      return;
+
+    const links = this.menu.querySelectorAll('a.dropdown-item');
+    switch (event.key)
+    {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.select(Math.min(this.active + 1, links.length - 1));
+        break;
+
+      case 'ArrowUp':
+        event.preventDefault();
+        this.select(Math.max(this.active - 1, -1));
+        break;
+
+      case 'Enter':
+        if (this.active >= 0)
+        {
+          event.preventDefault();
+          window.location = links[this.active].href;
+        }
+        break;
+
+      case 'Escape':
+        this.hide();
+        break;
+    }
+  }
+}
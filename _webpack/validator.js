@@ -0,0 +1,305 @@
+/* This file is part of IPAM Web.
+ *
+ * Copyright (c) Alexander Haase <ahaase@alexhaase.de>
+ *
+ * This project is licensed under the MIT License. For the full copyright and
+ * license information, please view the LICENSE file that was distributed with
+ * this source code.
+ */
+
+import ipaddr from 'ipaddr.js';
+import { IpRange } from './range';
+import { MacAddress } from './mac';
+
+
+/**
+ * API data validator class.
+ *
+ * This class checks the records of API files against the schema documented in
+ * the API description files (see `_data/api`). Each field described there may
+ * define its type, whether it's required and whether it may hold a list of
+ * values. Fields without a type (e.g. composed ones) won't be checked.
+ *
+ * @note The validator doesn't depend on the browser, so it can be used by the
+ *       web UI and the command line script as well.
+ */
+export class Validator
+{
+  /**
+   * API files to be validated.
+   *
+   * The API files are named by the collection they contain. Each collection is
+   * described by the API description file of the same name.
+   */
+  static files = ['block', 'subnet', 'range', 'ip'];
+
+  /**
+   * Field types.
+   *
+   * For each type, a function checks a single value of the field. It gets the
+   * IP version of the API file, as IPs must match it. The functions return an
+   * error message, or null if the value is valid.
+   */
+  static types = {
+    'string': (value) =>
+      (typeof value == 'string') ? null : 'Expected a string.',
+
+    'integer': (value) =>
+      (Number.isInteger(value) && (value >= 0))
+        ? null : 'Expected a non-negative integer.',
+
+    'percent': (value) =>
+      ((typeof value == 'number') && (value >= 0) && (value <= 100))
+        ? null : 'Expected a percentage between 0 and 100.',
+
+    /* Dates will be parsed by the browser (see @ref IPAM.parseDateFields).
+     * Therefore, only ISO-8601 dates are accepted, as other formats may be
+     * parsed differently by each browser. */
+    'date': (value) =>
+      ((typeof value == 'string')
+       && Validator.datePattern.test(value)
+       && !Number.isNaN(Date.parse(value)))
+        ? null : 'Expected an ISO-8601 date (e.g. 2023-01-31).',
+
+    'ip': (value, version) =>
+      Validator.isIp(value, version)
+        ? null : `Expected an IP${version} address.`,
+
+    /* Gateways may have a metric appended by a slash, as Microsoft IPAM stores
+     * them this way (see @ref IPAM.enrichRange). */
+    'gateway': (value, version) =>
+      ((typeof value == 'string')
+       && /^[^/]+(?:\/\d+)?$/.test(value)
+       && Validator.isIp(value.split('/')[0].trim(), version))
+        ? null : `Expected an IP${version} address with optional metric.`,
+
+    'cidr': (value, version) => {
+      if (!Validator.isCidr(value, version))
+        return `Expected an IP${version} network in CIDR notation.`;
+
+      const subnet = ipaddr.parseCIDR(value);
+      if (IpRange.fromSubnet(subnet).first.toString() != String(subnet[0]))
+        return 'The network address has host bits set.';
+      return null;
+    },
+
+    'mac': (value) =>
+      ((typeof value == 'string') && MacAddress.isValid(value))
+        ? null : 'Expected a MAC address.',
+  };
+
+  /**
+   * Pattern of valid dates.
+   *
+   * Dates may either be plain dates or include a time with optional seconds and
+   * timezone offset.
+   */
+  static datePattern = new RegExp('^\\d{4}-\\d{2}-\\d{2}'
+    + '(?:T\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?(?:Z|[+-]\\d{2}:\\d{2})?)?$');
+
+  /**
+   * Constructor.
+   *
+   *
+   * @param definitions The API descriptions, i.e. the field lists of each API
+   *                    file by collection name (see `_data/api`).
+   */
+  constructor(definitions)
+  {
+    /* The field lists will be converted into a lookup table of fields by name
+     * for each collection, so fields of records can be looked up directly. */
+    this.schema = {};
+    Object.entries(definitions).forEach(([file, fields]) => {
+      this.schema[file] = Object.fromEntries(fields.map(f => [f.id, {
+        type:     f.type ?? null,
+        list:     f.list ?? false,
+        required: f.required ?? false,
+      }]));
+    });
+
+    /* Check the schema itself, as typos in the types would otherwise disable
+     * checking the related fields silently. */
+    Object.entries(this.schema).forEach(([file, fields]) =>
+      Object.entries(fields).forEach(([id, field]) => {
+        if (field.type && !(field.type in this.constructor.types))
+          throw new Error(`Unknown type '${field.type}' of field '${id}' in `
+                          + `API description '${file}'.`);
+      }));
+  }
+
+  /**
+   * Check if a value is an IP of a specific version.
+   *
+   *
+   * @param value The value to be checked.
+   * @param version The IP version, either 'v4' or 'v6'.
+   *
+   * @returns True, if @p value is a valid IP address string, otherwise false.
+   */
+  static isIp(value, version)
+  {
+    return (typeof value == 'string') && ((version == 'v4')
+      ? ipaddr.IPv4.isValidFourPartDecimal(value)
+      : ipaddr.IPv6.isValid(value));
+  }
+
+  /**
+   * Check if a value is a CIDR network of a specific version.
+   *
+   *
+   * @param value The value to be checked.
+   * @param version The IP version, either 'v4' or 'v6'.
+   *
+   * @returns True, if @p value is a valid CIDR string, otherwise false.
+   */
+  static isCidr(value, version)
+  {
+    return (typeof value == 'string') && ((version == 'v4')
+      ? ipaddr.IPv4.isValidCIDRFourPartDecimal(value)
+      : ipaddr.IPv6.isValidCIDR(value));
+  }
+
+  /**
+   * Get the key of a record.
+   *
+   * The key identifies a record in the report. It's composed from the values of
+   * all required fields (e.g. the IP of an IP address object).
+   *
+   *
+   * @param file The collection name of the record.
+   * @param record The record.
+   * @param index The index of the record in its API file.
+   *
+   * @returns The key of the record.
+   */
+  keyOf(file, record, index)
+  {
+    const values = Object.entries(this.schema[file])
+      .filter(([, field]) => field.required)
+      .map(([id]) => record?.[id])
+      .filter(value => typeof value == 'string');
+    return values.length ? values.join(' - ') : ('#' + (index + 1));
+  }
+
+  /**
+   * Validate a single record.
+   *
+   *
+   * @param file The collection name of the record.
+   * @param version The IP version of the record, either 'v4' or 'v6'.
+   * @param record The record to be checked.
+   *
+   * @returns Array of problems found, each having the field, its value, the
+   *          message and the level (either 'error' or 'warning').
+   */
+  validateRecord(file, version, record)
+  {
+    if ((typeof record != 'object') || (record === null)
+        || Array.isArray(record))
+      return [{field: null, value: record, level: 'error',
+               message: 'Expected a JSON object.'}];
+
+    const schema  = this.schema[file];
+    const results = [];
+    const report  = (field, value, message, level = 'error') =>
+      results.push({field, value, message, level});
+
+    Object.entries(schema)
+      .filter(([id, field]) => field.required && !(id in record))
+      .forEach(([id]) => report(id, undefined, 'Missing required field.'));
+
+    Object.entries(record).forEach(([id, value]) => {
+      const field = schema[id];
+      if (!field)
+      {
+        /* Unknown fields won't break the UI, but may indicate typos in the
+         * field names used by the exporter. */
+        report(id, value, 'Unknown field.', 'warning');
+        return;
+      }
+      if (!field.type)
+        return;
+
+      if (Array.isArray(value) && !field.list)
+      {
+        report(id, value, 'Expected a single value, but got a list.');
+        return;
+      }
+
+      const check = this.constructor.types[field.type];
+      [].concat(value).forEach(v => {
+        const message = check(v, version);
+        if (message)
+          report(id, v, message);
+      });
+    });
+
+    /* Finally, check the relations between fields. As these require all fields
+     * involved to be valid, they will be skipped if any of them has errors. */
+    const valid = (...ids) => ids.every(id =>
+      (id in record) && !results.some(r => r.field == id));
+    if ((file == 'range') && valid('ip_first', 'ip_last'))
+    {
+      const first = ipaddr.parse(record.ip_first);
+      const last  = ipaddr.parse(record.ip_last);
+      if (IpRange.toNumber(first) > IpRange.toNumber(last))
+        report('ip_last', record.ip_last,
+               'The last IP is lower than the first IP.');
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate the contents of an API file.
+   *
+   *
+   * @param file The collection name of the API file, e.g. 'ip'.
+   * @param version The IP version of the API file, either 'v4' or 'v6'.
+   * @param data The decoded contents of the API file.
+   *
+   * @returns Array of problems found. In addition to the properties returned by
+   *          @ref validateRecord, each one has the API file name and the index
+   *          and key of the related record.
+   */
+  validate(file, version, data)
+  {
+    const name = version + '/' + file + '.json';
+    if (!(file in this.schema))
+      throw new Error(`No API description for '${name}' found.`);
+
+    if (!Array.isArray(data))
+      return [{file: name, record: null, key: null, field: null, value: null,
+               level: 'error', message: 'Expected a JSON array of records.'}];
+
+    return data.flatMap((record, index) =>
+      this.validateRecord(file, version, record).map(result => ({
+        file:   name,
+        record: index,
+        key:    this.keyOf(file, record, index),
+        ...result,
+      })));
+  }
+
+  /**
+   * Format a problem found as text.
+   *
+   *
+   * @param result The problem as returned by @ref validate.
+   *
+   * @returns A single line describing the problem.
+   */
+  static format(result)
+  {
+    const location = [
+      result.file,
+      result.key,
+      result.field,
+    ].filter(v => v !== null).join(': ');
+
+    const value = (result.value === undefined)
+      ? ''
+      : ` (${JSON.stringify(result.value)})`;
+    return `${result.level}: ${location}: ${result.message}${value}`;
+  }
+}
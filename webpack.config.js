@@ -7,34 +7,73 @@
  * this source code.
  */
 
+const fs = require('fs');
 const path = require('path');
 const webpack = require('webpack');
+const yaml = require('js-yaml');
 
 
-module.exports = (env) => { return {
-  entry: {
-    main: path.join(__dirname, '_webpack', 'main.js'),
-  },
-  output: {
-    /* Output files will be put into jekyll's asset directory. Putting these
-     * into the final destination path will be handled by jekyll afterwards. */
-    path: path.resolve(__dirname, 'assets'),
-    filename: '[name].js',
-
-    /* Use 'window' as default library target, so all exported functions will be
-     * available in HTML. */
-    libraryTarget: 'window',
-  },
-
-  plugins: [
-    /* Define variables, that will be substituted in code. This is required e.g.
-     * for defining a dynamic base URL on build-time. */
-    new webpack.DefinePlugin({
-      IPAM_BASE_URL: JSON.stringify(env.IPAM_BASE_URL ?? ''),
-    }),
-  ],
-
-  /* Always use 'production' as build mode, so the application can be tested
-   * with the final optimized code. */
-  mode: 'production',
-}};
+/* Load the API description files. These will be embedded into the generated
+ * code, so API data can be validated against them without requiring access to
+ * the source files at runtime. */
+const apiPath = path.join(__dirname, '_data', 'api');
+const apiSchema = Object.fromEntries(fs.readdirSync(apiPath)
+  .filter(file => file.endsWith('.yml'))
+  .map(file => [path.basename(file, '.yml'),
+                yaml.load(fs.readFileSync(path.join(apiPath, file), 'utf8'))]));
+
+
+module.exports = (env) => {
+  const common = {
+    plugins: [
+      /* Define variables, that will be substituted in code. This is required
+       * e.g. for defining a dynamic base URL on build-time. */
+      new webpack.DefinePlugin({
+        IPAM_BASE_URL:   JSON.stringify(env.IPAM_BASE_URL ?? ''),
+        IPAM_API_SCHEMA: JSON.stringify(apiSchema),
+      }),
+    ],
+
+    /* Always use 'production' as build mode, so the application can be tested
+     * with the final optimized code. */
+    mode: 'production',
+  };
+
+  return [
+    {
+      ...common,
+      entry: {
+        main: path.join(__dirname, '_webpack', 'main.js'),
+      },
+      output: {
+        /* Output files will be put into jekyll's asset directory. Putting these
+         * into the final destination path will be handled by jekyll
+         * afterwards. */
+        path: path.resolve(__dirname, 'assets'),
+        filename: '[name].js',
+
+        /* Use 'window' as default library target, so all exported functions
+         * will be available in HTML. */
+        libraryTarget: 'window',
+      },
+    },
+
+    /* In addition to the web UI, some of its code will be used by command line
+     * scripts, e.g. for validating API data before publishing it. These will be
+     * built for Node.js and put into the bin directory along with the other
+     * scripts. */
+    {
+      ...common,
+      target: 'node',
+      entry: {
+        reverse:  path.join(__dirname, '_webpack', 'bin', 'reverse.js'),
+        snapshot: path.join(__dirname, '_webpack', 'bin', 'snapshot.js'),
+        validate: path.join(__dirname, '_webpack', 'bin', 'validate.js'),
+      },
+      output: {
+        path: path.resolve(__dirname, 'bin'),
+        filename: '[name].js',
+      },
+    },
+  ];
+};